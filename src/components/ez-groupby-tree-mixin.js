@@ -12,11 +12,338 @@ This program is available under MIT license, available at
  * A mixin to add javascript 'groupby' cababilities to a data set using recursive tree processing.  
  * Note:  Mainly useful for getting data in a format to be visualized in drilldown graphs.
  */
+/**
+ * The aggregates that can be used in a datasets.data string (i.e. sum(revenue), percentile(age,90)), keyed by name.
+ * An entry is either an object with a create(field, params, me, value, raw) function returning an accumulator -- an
+ * object with add(row) and result() -- or a plain function(values, params, rows) that is handed all the values of a
+ * node at once.  value(row) returns the parsed number of the field for a row (null when it should be skipped) and
+ * raw(row) the field's value as is.  The field can be a computed expression (i.e. sum(revenue * 0.9)), so use
+ * value() and raw() rather than row[field].
+ * An accumulator can also have a remove(row) function, so the incremental updates (see updateRows()) do not
+ * have to recompute it from all the rows of a node.
+ * Shared by every class the mixin is applied to (and every element of those classes).  See registerAggregate().
+ */
+const aggregateRegistry = {
+    sum: {
+        create(field, params, me, value) {
+            return {
+                value: 0,
+                add(row) { var val = value(row); if (val != null) { this.value = val + this.value; } },
+                remove(row) { var val = value(row); if (val != null) { this.value = this.value - val; } },
+                result() { return this.value; }
+            };
+        }
+    },
+    max: {
+        create(field, params, me, value) {
+            return {
+                value: null,
+                add(row) { var val = value(row); if (val != null && (this.value == null || this.value < val)) { this.value = val; } },
+                result() { return this.value; }
+            };
+        }
+    },
+    min: {
+        create(field, params, me, value) {
+            return {
+                value: null,
+                add(row) { var val = value(row); if (val != null && (this.value == null || this.value > val)) { this.value = val; } },
+                result() { return this.value; }
+            };
+        }
+    },
+    // count() counts the rows, count(field) the rows that have a value for the field
+    count: {
+        create(field, params, me, value, raw) {
+            return {
+                value: 0,
+                add(row) { if (field == "" || ! me.isBlank(raw(row))) { this.value++; } },
+                remove(row) { if (field == "" || ! me.isBlank(raw(row))) { this.value--; } },
+                result() { return this.value; }
+            };
+        }
+    },
+    avg: {
+        create(field, params, me, value) {
+            return {
+                sum: 0,
+                count: 0,
+                add(row) { var val = value(row); if (val != null) { this.sum = val + this.sum; this.count++; } },
+                remove(row) { var val = value(row); if (val != null) { this.sum = this.sum - val; this.count--; } },
+                result() { return this.count == 0 ? null : this.sum / this.count; }
+            };
+        }
+    },
+    boxplot: {
+        create(field, params, me, value) {
+            return {
+                boxplot: {max: null, min: null, median: 0, q1:0, q3:0},
+                values: [],
+                add(row) {
+                    var val = value(row);
+                    if (val == null) {
+                        return;
+                    }
+                    if (this.boxplot.min == null || this.boxplot.min > val) {
+                        this.boxplot.min = val;
+                    }
+                    if (this.boxplot.max == null || this.boxplot.max < val) {
+                        this.boxplot.max = val;
+                    }
+                    this.values.push(val);
+                },
+                result() {
+                    if (this.values.length == 0) {
+                        return null;
+                    }
+                    this.boxplot.q1 = me.Quartile_25(this.values);
+                    this.boxplot.median = me.Quartile_50(this.values);
+                    this.boxplot.q3 = me.Quartile_75(this.values);
+                    return this.boxplot;
+                }
+            };
+        }
+    },
+    median(values) {
+        return this.Median(values);
+    },
+    stdev(values) {
+        return this.Array_Stdev(values);
+    },
+    variance(values) {
+        return this.Array_Variance(values);
+    },
+    // percentile(field,p) where p is 0 - 100
+    percentile(values, params) {
+        return this.Quartile(values, parseFloat(params[0]) / 100);
+    },
+    // The aggregates below work on the raw values and skip the rows without a value
+    count_distinct: {
+        create(field, params, me, value, raw) {
+            return {
+                counts: new Map(),
+                add(row) { var val = raw(row); if (! me.isBlank(val)) { this.counts.set(val, (this.counts.get(val) || 0) + 1); } },
+                remove(row) {
+                    var val = raw(row);
+                    if (! me.isBlank(val) && this.counts.has(val)) {
+                        if (this.counts.get(val) <= 1) {
+                            this.counts.delete(val);
+                        } else {
+                            this.counts.set(val, this.counts.get(val) - 1);
+                        }
+                    }
+                },
+                result() { return this.counts.size; }
+            };
+        }
+    },
+    first: {
+        create(field, params, me, value, raw) {
+            return {
+                value: null,
+                add(row) { var val = raw(row); if (this.value == null && ! me.isBlank(val)) { this.value = val; } },
+                result() { return this.value; }
+            };
+        }
+    },
+    last: {
+        create(field, params, me, value, raw) {
+            return {
+                value: null,
+                add(row) { var val = raw(row); if (! me.isBlank(val)) { this.value = val; } },
+                result() { return this.value; }
+            };
+        }
+    },
+    // The most frequent value.  Ties go to the value seen first.
+    mode: {
+        create(field, params, me, value, raw) {
+            return {
+                counts: new Map(),
+                add(row) { var val = raw(row); if (! me.isBlank(val)) { this.counts.set(val, (this.counts.get(val) || 0) + 1); } },
+                result() {
+                    var mode = null, max = 0;
+                    this.counts.forEach(function(count, val) {
+                        if (count > max) {
+                            max = count;
+                            mode = val;
+                        }
+                    });
+                    return mode;
+                }
+            };
+        }
+    }
+};
+
+/**
+ * The functions that can be used on row values in an expression (i.e. upper(company) as a group field, or
+ * sum(abs(revenue)) in a datasets.data string), keyed by name.  Each one is handed the evaluated arguments and the
+ * mixin object, numbers already parsed with the numberFormat of the dataset or level.  See parseExpression().
+ */
+const expressionFunctions = {
+    upper(args, me) { return me.isBlank(args[0]) ? null : String(args[0]).toUpperCase(); },
+    lower(args, me) { return me.isBlank(args[0]) ? null : String(args[0]).toLowerCase(); },
+    trim(args, me) { return me.isBlank(args[0]) ? null : String(args[0]).trim(); },
+    length(args, me) { return me.isBlank(args[0]) ? null : String(args[0]).length; },
+    // substr(str,start,length) with start counting from 1 like in SQL
+    substr(args, me, num) {
+        if (me.isBlank(args[0])) {
+            return null;
+        }
+        var start = Math.max(num(args[1]) || 1, 1) - 1;
+        return (args.length > 2) ? String(args[0]).substr(start, num(args[2]) || 0) : String(args[0]).substr(start);
+    },
+    // concat(a,b,...) leaves out the missing values
+    concat(args, me) { return args.filter(function(val) { return ! me.isBlank(val); }).join(""); },
+    // coalesce(a,b,...) is the first value that is not missing
+    coalesce(args, me) {
+        var val = args.find(function(val) { return ! me.isBlank(val); });
+        return (typeof val == 'undefined') ? null : val;
+    },
+    abs(args, me, num) { var val = num(args[0]); return val == null ? null : Math.abs(val); },
+    floor(args, me, num) { var val = num(args[0]); return val == null ? null : Math.floor(val); },
+    ceil(args, me, num) { var val = num(args[0]); return val == null ? null : Math.ceil(val); },
+    // round(x) or round(x,digits)
+    round(args, me, num) {
+        var val = num(args[0]);
+        var scale = Math.pow(10, (args.length > 1) ? num(args[1]) || 0 : 0);
+        return val == null ? null : Math.round(val * scale) / scale;
+    }
+};
+
+// The aggregates added (or replaced) with registerAggregate().  They only exist on the main thread, so a grouping
+// that uses one is not handed to the worker -- see groupByAsync().
+const customAggregates = new Set();
+
+// The built in aggregates that need parameters after the field -- see compileDataset().
+const aggregateParams = {
+    percentile: {count: 1, example: "percentile(revenue,90)"}
+};
+
+// The parsed datasets.data strings and group field expressions, so each string is only parsed once.
+const compiledExpressions = new Map();
+
+/**
+ * Defaults for the settings that can be given per level in the 'groups' object or for the whole tree
+ * in this.groupByOptions.  See groupByOption().
+ */
+const defaultGroupByOptions = {
+    timezone: 'UTC',
+    fillEmpty: false,
+    sort: null,
+    limit: null,
+    other: false,
+    totals: false,
+    metrics: false,
+    blankLabel: "(blank)",
+    join: " / ",
+    explode: false,
+    output: "full",
+    nulls: "skip",
+    numberFormat: {decimal: ".", thousands: ","},
+    rowKey: "_id"
+};
+
+/**
+ * A JSON-schema-like description of the 'groups' object -- see validateGroups().  'type' is one or a list of
+ * "string", "number", "integer", "boolean", "object", "array" and "null".  A property that is not listed in
+ * 'properties' is reported as a warning since it is most likely a typo.
+ */
+const datasetSchema = {
+    type: "object",
+    required: ["data"],
+    properties: {
+        label:           {type: "string"},
+        data:            {type: "string"},
+        type:            {type: "string"},
+        backgroundcolor: {type: "string"},
+        bordercolor:     {type: "string"},
+        boxplot:         {type: "boolean"},
+        nulls:           {enum: ["skip", "zero", "error"]},
+        numberFormat:    {type: ["object", "string"]},
+        aggField:        {type: "string"},
+        aggParams:       {type: "array"}
+    }
+};
+const groupsSchema = {
+    type: "array",
+    items: {
+        type: "object",
+        required: ["field", "datasets"],
+        properties: {
+            field:        {type: ["string", "array"], items: {type: "string"}},
+            label:        {type: "string"},
+            chart:        {type: "string"},
+            datasets:     {type: "array", items: datasetSchema},
+            contextmenu:  {type: "array", items: {type: "object", required: ["name", "url"]}},
+            where:        {type: ["object", "array"]},
+            having:       {type: ["object", "array"]},
+            timezone:     {type: "string"},
+            fillEmpty:    {type: "boolean"},
+            sort:         {type: ["string", "object", "null"]},
+            limit:        {type: ["integer", "null"], minimum: 0},
+            other:        {type: ["boolean", "string"]},
+            blankLabel:   {type: "string"},
+            join:         {type: "string"},
+            explode:      {type: ["boolean", "string"]},
+            nulls:        {enum: ["skip", "zero", "error"]},
+            numberFormat: {type: ["object", "string"]}
+        }
+    }
+};
+
+// The operators of a 'where' or 'having' condition -- see matchesCondition().
+const conditionOperators = ["=", "==", "!=", "<>", "<", "<=", ">", ">=", "in", "not in", "between", "is null", "is not null"];
+
+// The default palette for the datasets without a color of their own -- see toHighcharts(), toChartJs() and toECharts().
+const globalColors = ["#7cb5ec", "#434348", "#90ed7d", "#f7a35c", "#8085e9", "#f15c80", "#e4d354", "#2b908f", "#f45b5b", "#91e8e1"];
+
+// The file formats that serializeRows() and downloadData() can produce.
+const exportFormats = {
+    csv:    {extension: "csv",    type: "text/csv;charset=utf-8;"},
+    tsv:    {extension: "tsv",    type: "text/tab-separated-values;charset=utf-8;"},
+    json:   {extension: "json",   type: "application/json;charset=utf-8;"},
+    ndjson: {extension: "ndjson", type: "application/x-ndjson;charset=utf-8;"},
+    xls:    {extension: "xls",    type: "application/vnd.ms-excel;charset=utf-8;"}
+};
+
+// The groups objects made by normalizeGroups(), so they are not copied again.
+const normalizedGroups = new WeakSet();
+
+// The groups objects set up by prepareGroups() (i.e. node.groups), so a drilldown keeps the bins of the full data set.
+const preparedGroups = new WeakSet();
+
+// The accumulators of the nodes of a tree built with createTree(), so incremental updates can reuse them.
+const nodeAccumulators = new WeakMap();
+
+// For each level of a tree built with createTree():  row -> the names of the nodes of the level the row is in.
+// A removed row is looked up here rather than by its group values, since it may have been changed in place.
+const levelRows = new WeakMap();
+
+// For each level of a tree built with createTree() with the 'metrics' setting:  the accumulators of the rows of the
+// parent node, for node.metrics.percentOfParent.
+const levelAccumulators = new WeakMap();
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Intl.DateTimeFormat objects are expensive to create so keep one per timezone.
+const dateFormatters = {};
+// The decimal and thousands separators of the locales used as a numberFormat.
+const localeNumberFormats = {};
+
+// The prototypes of the classes made by the mixin, so groupByAsync() can tell whether a class overrides its methods.
+const mixinPrototypes = new WeakSet();
+
+function mixinClass(cls) {
+    mixinPrototypes.add(cls.prototype);
+    return cls;
+}
+
 /* @polymerMixin */
-export const EzGroupbyTreeMixin = (superclass) => class extends superclass {  
+export const EzGroupbyTreeMixin = (superclass) => mixinClass(class extends superclass {  
 
-    //globalColors = ["#7cb5ec", "#434348", "#90ed7d", "#f7a35c", "#8085e9", "#f15c80", "#e4d354", "#2b908f", "#f45b5b", "#91e8e1"];
-  
     /**
      * @function groupBy()
      * @author Martin Israelsen <martin.israelsen@gmail.com>
@@ -70,6 +397,71 @@ export const EzGroupbyTreeMixin = (superclass) => class extends superclass {
      *                         ]}
      *             ];
      * 
+     *    A 'field' can be wrapped in a modifier:
+     *      date_trunc(month,startdate)    Time buckets -- minute, hour, day, week, month, quarter, year, dayofweek, monthofyear
+     *      bucket(10,age)                 Fixed width bins:  0-9, 10-19, 20-29 ... (0-10, 10-20 ... when not every age
+     *                                     is a whole number)
+     *      histogram(8,revenue)           8 bins holding about the same number of records each
+     *      ranges(0-18,18-65,65+,age)     Labelled ranges (the lower bound is included, the upper bound is not)
+     *    or computed:  upper(company), concat(division,'-',gender), coalesce(eyeColor,'unknown') -- see parseExpression()
+     *    A list of fields groups on the combination of their values:  ["company", "division"] makes nodes such as
+     *    "Nucore / Development" (see 'join').  Each field of the list can have a modifier of its own.
+     * 
+     *    A datasets.data string can combine aggregates, aggregate computed values and filter the rows it counts:
+     *      sum(revenue) / count()         sum(revenue * 0.9)          avg(age) where gender = 'Male'
+     *    The argument of an aggregate has to use a field.  A field name with a '-', spaces or other characters that
+     *    are not letters, digits, '_', '$' or '.' has to be quoted, or it is read as an expression:
+     *      sum("unit-price")              sum(`unit price`)           sum("2019")
+     *    (sum(unit-price) is unit minus price).
+     * 
+     *    Settings that can be given on a level of the 'groups' object, or for every level in this.groupByOptions:
+     *      timezone:   The timezone date_trunc() buckets are computed in -- 'UTC' (default), 'local' or an IANA
+     *                  name such as 'America/Denver'.
+     *      fillEmpty:  true to also emit the date_trunc() buckets that have no records (i.e. a month without data)
+     *                  so time series come out without gaps.
+     *      sort:       How the nodes of a level are ordered.  Default is by name (numerically for the bins).
+     *                    "string", "numeric", "date" or "natural"         Sort by name as this type
+     *                    {"by": "key", "type": "numeric", "order": "desc"} The same in descending order
+     *                    {"by": "Revenue", "order": "desc"}                Sort by the aggregate of a dataset (label or index)
+     *                    {"values": ["High", "Medium", "Low"]}             In this order, anything else after
+     *      limit:      Only keep the first 'limit' nodes (after sorting) -- i.e. the top 10.
+     *      other:      true (or the name to use) to roll the nodes dropped by 'limit' up into an "Other" node.
+     *                  Note:  A custom aggFunc is called for the "Other" node with rows that do not match its name.
+     *      blankLabel: The name of the node for rows without a value for the group field.  Default is "(blank)".
+     *      join:       What the values of a list of fields are joined with for the node's name.  Default is " / ".
+     *      explode:    true to group a row that has an array of values (i.e. tags) under each of its values, so the row
+     *                  is counted in (and drills down from) every one of those nodes.  A string (i.e. ",") also splits
+     *                  text values on it.  Default is false.
+     *    Settings for the whole tree (this.groupByOptions only):
+     *      totals:     true (or the name to use) to return a single "Total" root node holding the grand totals of the
+     *                  first level's datasets, with the tree as its drilldown.  The root has node.isTotal set and is
+     *                  not counted as a level by flattenTree() and the charts.
+     *      metrics:    true to add node.metrics -- percent of parent, percent of grand total, running total and the
+     *                  change from the previous node for each dataset.  See addTreeMetrics().
+     *      output:     What the nodes hold -- see compactTree():
+     *                    "full"      (default) node.data (the rows), node.groups and node.downloadObj, and the leaf
+     *                                nodes' drilldown is their rows as an index-keyed object
+     *                    "indices"   node.rows -- the indexes of the rows in 'data' (see getNodeRows()) -- instead
+     *                    "summary"   Only name, y and path (and metrics), i.e. to send the tree over the wire as JSON
+     *                  The leaf nodes' drilldown is an empty array with "indices" and "summary".
+     *    Filters that can be given on a level of the 'groups' object:
+     *      where:      Only group up the rows that match -- the drilldowns only see those rows as well.
+     *                    {"field": "gender", "op": "=", "value": "Male"}
+     *                    {"field": "division", "op": "in", "value": ["Support", "Marketing"]}
+     *                    {"field": "startdate", "op": "between", "value": ["2018-01-01", "2018-12-31"]}
+     *                    {"and": [...]}, {"or": [...]}, {"not": {...}}
+     *                  Operators:  =, !=, <, <=, >, >=, in, not in, between (inclusive), is null, is not null
+     *      having:     Only keep the nodes whose aggregates match.  Same as 'where' with "dataset" (label or index)
+     *                  instead of "field":  {"dataset": "Revenue", "op": ">", "value": 1000}
+     *    And these can also be given on a dataset:
+     *      nulls:        What to do with values that are missing or not a number -- "skip" (default), "zero" to
+     *                    count them as 0 or "error" to throw.  An aggregate over no values at all comes out as null
+     *                    (except for sum and count which are 0).
+     *      numberFormat: How numbers are written -- {"decimal": ",", "thousands": "."} or a locale such as "de-DE".
+     *                    Default is {"decimal": ".", "thousands": ","}.
+     * 
+     *    The 'groups' object is left as is -- the tree is built from a copy of it (see normalizeGroups()), and node.group
+     *    and node.groups point at that copy.  validateGroups() checks a 'groups' object and lists what is wrong with it.
      * 
      * @return returns a Tree Object which has the data grouped up in each node of the tree
      *    The first level of the tree represents the first groupby field specififed in the 'groups' object.
@@ -78,386 +470,4491 @@ export const EzGroupbyTreeMixin = (superclass) => class extends superclass {
      */
     groupBy(data, groups, fullGroupBy, aggFunc = this.aggFunction, pathAggFunc = this.pathAggFunction) {
   
+      if (typeof fullGroupBy == 'undefined') {
+          fullGroupBy = groups;
+      }
+      let output = this.groupByOption('output');
+      if (! /^(full|indices|summary)$/.test(output)) {
+          throw new Error("Unknown output '" + output + "' -- use 'full', 'indices' or 'summary'");
+      }
+      let limit = this.groupByOption('limit');
+      if (limit != null && ! (Number.isInteger(limit) && limit >= 0)) {
+          throw new Error("'limit' has to be a whole number, not " + JSON.stringify(limit));
+      }
+      // Without the rows in the nodes, the nodes keep the indexes of their rows in 'data' (if anything needs them)
+      let indexes;
+      if (output == 'indices' || (output == 'summary' && this.groupByOption('metrics'))) {
+          indexes = data.map(function(row, i) { return i; });
+      }
+
+      if (groups.length != fullGroupBy.length) {
+          // A drilldown level -- groups that were not set up by a groupBy() yet are set up with the rows given
+          fullGroupBy = this.normalizeGroups(fullGroupBy);
+          if (! preparedGroups.has(fullGroupBy)) {
+              fullGroupBy = this.prepareGroups(data, fullGroupBy);
+          }
+          groups = fullGroupBy.slice(fullGroupBy.length - groups.length);
+          return this.compactTree(this.groupLevel(data, groups, fullGroupBy, aggFunc, pathAggFunc, [], indexes));
+      }
+
+      // Top of the tree -- the groups are copied (the caller's objects are left alone) and modifiers that need
+      // the full data set are set up here
+      fullGroupBy = groups = this.prepareGroups(data, fullGroupBy);
+      let tree = this.groupLevel(data, groups, fullGroupBy, aggFunc, pathAggFunc, [], indexes);
+      if (groups.length > 0 && (this.groupByOption('totals') || this.groupByOption('metrics'))) {
+          tree = this.addTreeTotals(tree, data, fullGroupBy, aggFunc, pathAggFunc);
+      }
+      return this.compactTree(tree);
+    }
+
+    /**
+     * @function groupByAsync()
+     *    Same as groupBy() except that the data is grouped up in a Web Worker (ez-groupby-tree-worker.js) so a large
+     *    grouping does not block the page.  The tree comes back the same except that its rows are copies of the rows
+     *    of 'data' -- with the "indices" output (see groupBy()) no rows come back and node.rows index 'data' as
+     *    usual.  The grouping is done on this thread instead (after the current task, so it can still be
+     *    cancelled) when there is no Worker (i.e. Node), the worker can not be started, options.worker is false or
+     *    the worker could not do the same -- a custom aggFunc or pathAggFunc, or an aggregate added with
+     *    registerAggregate(), or a class (or object) that overrides any method of the mixin (i.e. aggFunction(),
+     *    pathAggFunction() or applyModifier()) since the worker only has the built in ones.
+     *    Starting another grouping cancels the one that is still running.
+     *    While the grouping runs a 'groupby-progress' event ({detail: {done, total}}) is dispatched after each
+     *    node of the first level of the tree (when the object is an element).
+     *           
+     * @param data        An array of objects that is to be grouped up
+     * @param groups      The groups object -- see groupBy().  It has to be serializable (no functions).
+     * @param options     (optional)
+     *                      signal:       An AbortSignal that cancels the grouping
+     *                      onProgress:   function({done, total}) called along with the 'groupby-progress' event
+     *                      worker:       false to always group up the data on this thread
+     *                      workerUrl:    Where to load the worker from.  Default is ez-groupby-tree-worker.js next to this file.
+     *                      aggFunc:      See groupBy()
+     *                      pathAggFunc:  See groupBy()
+     * 
+     * @return returns a Promise for the tree.  A cancelled grouping rejects with an Error named "AbortError".
+     */
+    groupByAsync(data, groups, options = {}) {
+      let me = this;
+      let aggFunc = options.aggFunc || me.aggFunction;
+      let pathAggFunc = options.pathAggFunc || me.pathAggFunction;
+      me.cancelGroupBy();
+
+      return new Promise(function(resolve, reject) {
+          let worker = null;
+          let task = {done: false};
+          let finish = function(callback, value) {
+              if (task.done) {
+                  return;
+              }
+              task.done = true;
+              if (me.groupByTask === task) {
+                  me.groupByTask = null;
+              }
+              if (worker != null) {
+                  worker.terminate();
+                  worker = null;
+              }
+              if (typeof options.signal != 'undefined' && options.signal != null) {
+                  options.signal.removeEventListener('abort', task.cancel);
+              }
+              callback(value);
+          };
+          task.cancel = function() {
+              let error = new Error("The grouping was cancelled");
+              error.name = "AbortError";
+              finish(reject, error);
+          };
+          let progress = function(done, total) {
+              if (task.done) {
+                  return;
+              }
+              if (typeof options.onProgress == 'function') {
+                  options.onProgress({done: done, total: total});
+              }
+              if (typeof me.dispatchEvent == 'function' && typeof CustomEvent != 'undefined') {
+                  me.dispatchEvent(new CustomEvent('groupby-progress', {detail: {done: done, total: total}, bubbles: true, composed: true}));
+              }
+          };
+          let groupHere = function() {
+              setTimeout(function() {
+                  if (task.done) {
+                      return;
+                  }
+                  let previous = me.groupByProgress;
+                  me.groupByProgress = progress;
+                  try {
+                      finish(resolve, me.groupBy(data, groups, groups, aggFunc, pathAggFunc));
+                  } catch (e) {
+                      finish(reject, e);
+                  } finally {
+                      me.groupByProgress = previous;
+                  }
+              }, 0);
+          };
+
+          if (typeof options.signal != 'undefined' && options.signal != null) {
+              if (options.signal.aborted) {
+                  task.cancel();
+                  return;
+              }
+              options.signal.addEventListener('abort', task.cancel);
+          }
+          me.groupByTask = task;
+
+          if (! me.canGroupInWorker(groups, options, aggFunc, pathAggFunc)) {
+              groupHere();
+              return;
+          }
+          try {
+              worker = new Worker(options.workerUrl || new URL('./ez-groupby-tree-worker.js', import.meta.url), {type: 'module'});
+              worker.onmessage = function(event) {
+                  let message = event.data;
+                  switch(message.type) {
+                      case "progress":
+                          progress(message.done, message.total);
+                          break;
+                      case "result":
+                          finish(resolve, message.tree);
+                          break;
+                      default:
+                          finish(reject, new Error(message.message));
+                  }
+              };
+              // i.e. a browser that can not run module workers -- group up the data here instead
+              worker.onerror = function(event) {
+                  event.preventDefault();
+                  worker.terminate();
+                  worker = null;
+                  groupHere();
+              };
+              worker.postMessage({data: data, groups: groups, groupByOptions: me.groupByOptions, downloadFields: me.downloadFields});
+          } catch (e) {
+              // No worker, or the data can not be copied to it
+              if (worker != null) {
+                  worker.terminate();
+                  worker = null;
+              }
+              groupHere();
+          }
+      });
+    }
+
+    /**
+     * @function cancelGroupBy()
+     *    Cancels the grouping started with groupByAsync() that is still running, if any.  Its Promise rejects
+     *    with an Error named "AbortError".
+     * 
+     * @return true when a grouping was cancelled
+     */
+    cancelGroupBy() {
+      if (typeof this.groupByTask == 'undefined' || this.groupByTask == null) {
+          return false;
+      }
+      this.groupByTask.cancel();
+      return true;
+    }
+
+    /**
+     * @function canGroupInWorker()
+     *    Checks whether the worker can group up the data the same as groupBy() would on this thread.
+     *           
+     * @param groups      The groups object
+     * @param options     The options of groupByAsync()
+     * @param aggFunc     The function to use on each grouping.
+     * @param pathAggFunc The path function to use on each grouping.
+     * 
+     * @return true or false
+     */
+    canGroupInWorker(groups, options, aggFunc, pathAggFunc) {
+      if (options.worker === false || typeof Worker == 'undefined') {
+          return false;
+      }
+      if (aggFunc !== this.aggFunction || pathAggFunc !== this.pathAggFunction) {
+          return false;
+      }
+      // The worker is a plain class with the mixin, so every method has to be the built in one
+      let proto = Object.getPrototypeOf(this);
+      while (proto != null && ! mixinPrototypes.has(proto)) {
+          proto = Object.getPrototypeOf(proto);
+      }
+      if (proto == null) {
+          return false;
+      }
+      let overridden = Object.getOwnPropertyNames(proto).some(function(name) {
+          let method = Object.getOwnPropertyDescriptor(proto, name).value;
+          return name != 'constructor' && typeof method == 'function' && this[name] !== method;
+      }, this);
+      if (overridden) {
+          return false;
+      }
+      let normalized;
+      try {
+          normalized = this.normalizeGroups(groups);
+      } catch (e) {
+          // groupBy() reports the error
+          return false;
+      }
+      return normalized.every(function(group) {
+          return group.datasets.every(function(dataset) {
+              return this.compileDataset(dataset.data).aggregates.every(function(aggregate) { return ! customAggregates.has(aggregate.name); });
+          }, this);
+      }, this);
+    }
+
+    /**
+     * @function groupLevel()
+     *    Builds one level of the tree and recurses to build the drilldowns below it.  See groupBy() for the parameters.
+     *           
+     * @param data        The rows of the parent node
+     * @param groups      The groups from this level down (normalized -- see normalizeGroups())
+     * @param fullGroupBy The full groups object (normalized)
+     * @param aggFunc     The function to use on each grouping.
+     * @param pathAggFunc The path function to use on each grouping.
+     * @param parentNames (optional) The names of the nodes above this level -- see pathAggFunction()
+     * @param indexes     (optional) The index of each row of 'data' in the data given to groupBy(), for node.rows
+     *                    when the 'output' setting is not "full"
+     * 
+     * @return returns the nodes of this level (or the rows as an index-keyed object below the last level -- an empty
+     *         array when the 'output' setting is not "full")
+     */
+    groupLevel(data, groups, fullGroupBy, aggFunc = this.aggFunction, pathAggFunc = this.pathAggFunction, parentNames = [], indexes) {
+      let full = (this.groupByOption('output') == 'full');
       if (groups.length == 0) {
           //base case -- this returns the leaf nodes
-          return Object.assign({},data);
+          return full ? Object.assign({},data) : [];
       }
       else {
           let group = groups[0];
           let r = [];
-          let names = [];
 
-          for (var i=0; i < group.datasets.length; i++) {
-            group.datasets[i]['aggField'] = this.parseAggStr(group.datasets[i].data);
+          // WHERE -- only the rows that pass are grouped up (here and in the drilldowns)
+          if (typeof group.where != 'undefined' && group.where != null) {
+              let passed = this.filterRows(data, group.where);
+              if (Array.isArray(indexes)) {
+                  indexes = this.subsetIndexes(data, passed, indexes);
+              }
+              data = passed;
           }
-          group = this.parseGroupByField(group,group.field);
     
-          // Loop through the data set to get the 'unique' group values for this level of the drilldown
+          // Single pass over the data set:  bucket each row under its (modified) group value and feed
+          // the row to that bucket's dataset accumulators so the aggregates are ready once the pass is done.
+          // Note:  With 'explode' a row can go in more than one bucket.
+          let buckets = new Map();
           for (let i = 0; i < data.length; i++) {
-              if(! this.IN(names, this.applyModifier(data[i][group.field], group))) {
-                  names.push(this.applyModifier(data[i][group.field], group));
+              let names = this.groupKeys(data[i], group);
+              for (let k = 0; k < names.length; k++) {
+                  let bucket = buckets.get(names[k]);
+                  if (typeof bucket == 'undefined') {
+                      bucket = {rows: [], indexes: [], accumulators: this.createAccumulators(group)};
+                      buckets.set(names[k], bucket);
+                  }
+                  // Note:  bucket.rows will become the new data[] when we recurse.
+                  bucket.rows.push(data[i]);
+                  if (Array.isArray(indexes)) {
+                      bucket.indexes.push(indexes[i]);
+                  }
+                  for (let j = 0; j < bucket.accumulators.length; j++) {
+                      bucket.accumulators[j].add(data[i]);
+                  }
+              }
+          }
+
+          // Add the time buckets without any records so the time series does not have gaps
+          if (group.modifier == 'date_trunc' && this.groupByOption('fillEmpty', group)) {
+              let timeBuckets = this.fillTimeBuckets(Array.from(buckets.keys()), group.modifierParams[0]);
+              for (let i = 0; i < timeBuckets.length; i++) {
+                  if (! buckets.has(timeBuckets[i])) {
+                      buckets.set(timeBuckets[i], {rows: [], indexes: [], accumulators: this.createAccumulators(group)});
+                  }
               }
           }
+
+          // Aggregate each node up front so the nodes can also be sorted on their aggregates
+          let nodes = [];
+          buckets.forEach(function(bucket, name) {
+              nodes.push({name: name, rows: bucket.rows, indexes: bucket.indexes, y: aggFunc(this, bucket.rows, group, name, bucket.accumulators)});
+          }, this);
+
+          // HAVING -- drop the nodes (and with them their drilldowns) whose aggregates do not pass
+          if (typeof group.having != 'undefined' && group.having != null) {
+              nodes = nodes.filter(function(node) {
+                  return this.matchesCondition(group.having, function(condition) {
+                      return this.datasetValue(node.y, condition.dataset, group);
+                  }.bind(this));
+              }, this);
+          }
+
           // Sort the names so that time series will come out in ASC order
-          names.sort(); 
-    
-          // Now loop through (this reduced set of) the unique grouped up values
-          for (let index = 0; index < names.length; index++) {
-              let name = names[index];
-              let pathArray = [];
-              let f = [];
-              for (let  i = 0; i < data.length; i++) {
-                  // Push the data onto the f[] that match this particular grouping.
-                  // Note:  f[] will become the new data[] when we recurse.
-                  if (this.applyModifier(data[i][group.field],group) == name) {
-                      pathArray.push(i);
-                      f.push(data[i]);
+          let aggregates = new Map(nodes.map(function(node) { return [node.name, node.y]; }));
+          let names = this.sortGroupNames(Array.from(aggregates.keys()), group, aggregates);
+          nodes = names.map(function(name) { return {name: name, rows: buckets.get(name).rows, indexes: buckets.get(name).indexes, y: aggregates.get(name)}; });
+
+          // Keep the top 'limit' nodes and roll up the remainder into an "Other" node if asked to
+          let limit = this.groupByOption('limit', group);
+          if (typeof limit == 'number' && nodes.length > limit) {
+              let remainder = nodes.splice(limit);
+              let other = this.groupByOption('other', group);
+              if (other) {
+                  let otherNode = {name: (typeof other == 'string') ? other : "Other", rows: [], indexes: []};
+                  let accumulators = this.createAccumulators(group);
+                  let seen = new Set();
+                  for (let i = 0; i < remainder.length; i++) {
+                      for (let k = 0; k < remainder[i].rows.length; k++) {
+                          // An exploded row can be in several of the remaining nodes but only counts once
+                          if (seen.has(remainder[i].rows[k])) {
+                              continue;
+                          }
+                          seen.add(remainder[i].rows[k]);
+                          otherNode.rows.push(remainder[i].rows[k]);
+                          if (Array.isArray(indexes)) {
+                              otherNode.indexes.push(remainder[i].indexes[k]);
+                          }
+                          for (let j = 0; j < accumulators.length; j++) {
+                              accumulators[j].add(remainder[i].rows[k]);
+                          }
+                      }
                   }
+                  otherNode.y = aggFunc(this, otherNode.rows, group, otherNode.name, accumulators);
+                  nodes.push(otherNode);
               }
+          }
+    
+          // groupByAsync() follows along with the first level of the tree
+          let progress = (groups.length == fullGroupBy.length && typeof this.groupByProgress == 'function') ? this.groupByProgress : null;
+          if (progress != null) {
+              progress(0, nodes.length);
+          }
+
+          // Now loop through (this reduced set of) the unique grouped up values
+          for (let index = 0; index < nodes.length; index++) {
+              let name = nodes[index].name;
+              let f = nodes[index].rows;
+              let subIndexes = Array.isArray(indexes) ? nodes[index].indexes : undefined;
   
-              var path = name;
-              r.push({
+              let node = {
                   name : name,
                   chart : group.chart,
-                  y : aggFunc(this, f, group, name),
-                  drilldown : this.groupBy(f, groups.slice(1, groups.length), fullGroupBy, aggFunc, pathAggFunc),
+                  y : nodes[index].y,
+                  drilldown : this.groupLevel(f, groups.slice(1, groups.length), fullGroupBy, aggFunc, pathAggFunc, parentNames.concat([name]), subIndexes),
                   group : group,
-                  path  : pathAggFunc(this, f, fullGroupBy, group, name),
-                  data  : f,
-                  groups: fullGroupBy,
-                  downloadObj: this.downloadFields
-              });
+                  // Note: An empty time bucket has no rows of its own, so it takes its path from its siblings.
+                  path  : pathAggFunc(this, f.length > 0 ? f : data, fullGroupBy, group, name, parentNames)
+              };
+              if (full) {
+                  node.data = f;
+                  node.groups = fullGroupBy;
+                  node.downloadObj = this.downloadFields;
+              } else {
+                  // Only the indexes are kept (see compactTree()), and the rows of the bucket can go
+                  if (Array.isArray(subIndexes)) {
+                      node.rows = subIndexes;
+                  }
+                  nodes[index].rows = nodes[index].indexes = null;
+                  buckets.delete(name);
+              }
+              r.push(node);
+              if (progress != null) {
+                  progress(index + 1, nodes.length);
+              }
           }
           return r;
       }
     }
   
     /**
-     * @function IN()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *    Quickly check to see if the val is in the list.  
-     *    Note:  The list starts empty and we push onto it when we find a unique value.
+     * @function addTreeTotals()
+     *    Adds the grand totals and derived metrics asked for with the 'totals' and 'metrics' settings (see groupBy()).
      *           
-     * @param list        The array to check   
-     * @param val         The value to check if it exists in the array already
+     * @param tree        The nodes of the first level of the tree
+     * @param data        All of the data
+     * @param groups      The full groups object
+     * @param aggFunc     The function to use on each grouping.
+     * @param pathAggFunc The path function to use on each grouping.
      * 
-     * @return true or false
+     * @return returns the tree -- wrapped in a single root node when 'totals' is set
      */
-    IN(list, val) {
-      if (list.indexOf(val) == -1) {
-          return false;
+    addTreeTotals(tree, data, groups, aggFunc = this.aggFunction, pathAggFunc = this.pathAggFunction) {
+      let group = groups[0];
+      let rows = (typeof group.where != 'undefined' && group.where != null) ? this.filterRows(data, group.where) : data;
+      let totals = this.groupByOption('totals');
+      let metrics = this.groupByOption('metrics');
+
+      if (metrics) {
+          this.addTreeMetrics(tree, rows, rows, new Map(), data);
       }
-      return true;
+      if (! totals) {
+          return tree;
+      }
+
+      let name = (typeof totals == 'string') ? totals : "Total";
+      let root = {
+          name : name,
+          chart : group.chart,
+          y : aggFunc(this, rows, group, name, this.aggregateRows(rows, group)),
+          drilldown : tree,
+          // The root is not a level of the tree, so it gets a group of its own (with the first level's datasets)
+          group : {field: name, label: name, chart: group.chart, datasets: group.datasets},
+          isTotal: true,
+          path  : ""
+      };
+      switch(this.groupByOption('output')) {
+          case 'full':
+              root.data = rows;
+              root.groups = groups;
+              root.downloadObj = this.downloadFields;
+              break;
+          case 'indices':
+              root.rows = this.subsetIndexes(data, rows);
+              break;
+          default:
+      }
+      if (metrics) {
+          root.metrics = this.rootMetrics(root.y);
+      }
+      return [root];
     }
-  
-  
+
     /**
-     * @function applyModifier()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *    Check to see if a modifier exists for this field.   If it doesn't quickly return.
-     *    If it does exists then apply the modifier to the field and return the modified value.
-     *    This is mostly useful for datetime fields.
+     * @function rootMetrics()
+     *    Works out node.metrics for the "Total" root node (see addTreeTotals()).
      *           
-     * @param list        The array to check   
-     * @param val         The value to check if it exists in the array already
+     * @param y           The aggregates of the root node
      * 
-     * @return The modified value.
+     * @return returns the metrics -- see addTreeMetrics()
      */
-    applyModifier(val, group) {
-      if (typeof group.modifier == 'undefined') {
-          return val;
-      } else {
-          switch(true){
-              case /^date_trunc/.test(group.modifier):
-                  var truncType = group.modifierParams[0];
-                  switch(true) {
-                      case /^day/.test(truncType):
-                          try { val = new Date(val).toISOString().slice(0, 10); } catch (e) {  }
-                          break;
-                      case /^month/.test(truncType):
-                          try { val = new Date(val).toISOString().slice(0, 7); } catch (e) { }
-                          break;
-                      case /^year/.test(truncType):
-                          try { val = new Date(val).toISOString().slice(0, 4); } catch (e) { }
-                          break;
-                      default:
-                  }
-                  break;
-              default: 
+    rootMetrics(y) {
+      return y.map(function(val) {
+          if (typeof val != 'number' || ! isFinite(val)) {
+              return null;
           }
-          return val;  
-      }
+          return {percentOfParent: 100, percentOfTotal: 100, runningTotal: val, difference: null, percentChange: null};
+      });
     }
-    
+
     /**
-     * @function parseAggStr()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *    Parses the datasets.data string to pull out the field that needs to be aggregated on.
-     *    Example:  sum(revenue)  will return the string "revenue"
+     * @function compactTree()
+     *    Finishes a tree for the 'output' setting (see groupBy()).  A "full" tree holds each row once per level (plus a
+     *    copy of the rows below the last level), so for large data sets groupLevel() leaves out node.data,
+     *    node.groups and node.downloadObj with the other settings:
+     *      "indices"   Each node keeps node.rows -- the indexes of its rows in 'data' -- and node.group.
+     *                  getNodeRows() turns them back into rows.  The tree is returned as is.
+     *      "summary"   Each node is cut down to {name, y, path, drilldown} (and metrics), so it can not be charted,
+     *                  flattened or downloaded from -- those throw (see checkTreeGroups()).
      *           
-     * @param str        The aggregate field in the form of agg(field) 
+     * @param tree        The tree, as built by groupLevel() and addTreeTotals()
      * 
-     * @return The field to be aggregated on
+     * @return returns the tree (a new one for "summary")
      */
-    parseAggStr(str) {
-        let match = str.match(/\((.*)\)/);
-        return match[1];
+    compactTree(tree) {
+      if (this.groupByOption('output') != 'summary') {
+          return tree;
+      }
+      return this.mapTree(tree, function(node) {
+          let lean = {name: node.name, y: node.y, path: node.path};
+          if (node.isTotal) {
+              lean.isTotal = true;
+          }
+          if (typeof node.metrics != 'undefined') {
+              lean.metrics = node.metrics;
+          }
+          return lean;
+      });
     }
-    
-  
+
     /**
-     * @function parseGroupByField()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *    Parses the group by field to see if there are any modifiers.  If a modifier is found
-     *    then the group.modifier field and modifierParams are filled in. 
-     *    Example:  date_trunc(month,startdate)  will return the string "startdate"
+     * @function subsetIndexes()
+     *    Works out the indexes of the rows that passed a filter.
      *           
-     * @param group        The group object for this level of the tree.
-     * @param str          The group by 'field' we want to check for modifiers
+     * @param data        The rows
+     * @param subset      The rows of 'data' that passed (in the same order)
+     * @param indexes     (optional) The index of each row of 'data' in the data given to groupBy().  Default is
+     *                    the position in 'data'.
      * 
-     * @return   Returns the modifield group object
+     * @return returns an array of indexes
      */
-    parseGroupByField(group, str) {
-        switch(true){
-            case /^date_trunc/.test(str):
-                let match = str.match(/\((.*)\)/); 
-                if (typeof match != 'undefined' && match != null) {
-                    group.modifier = "date_trunc";
-                    group.modifierParams = match[1].split(/,/);
-                    group.field = group.modifierParams[1];
-                }
-                break;
-            default: 
-        }  
-        return group;
+    subsetIndexes(data, subset, indexes) {
+      let passed = new Set(subset);
+      let result = [];
+      for (let i = 0; i < data.length; i++) {
+          if (passed.has(data[i])) {
+              result.push(Array.isArray(indexes) ? indexes[i] : i);
+          }
+      }
+      return result;
     }
-    
+
     /**
-     * @function aggFunction()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *    This function is called for each node of the grouping tree.  The group.datasets[j].data represents this grouping
-     *    based on the aggregate defined (i.e. sum, max, min etc) and based on the field being agregated on (i.e. sum(revenue)).    
+     * @function getNodeRows()
+     *    Returns the rows of a node of the tree, whichever 'output' setting the tree was built with.
      *           
-     * @param me           A reference to 'this' object
-     * @param data         The data object for this grouping (an array of objects)
-     * @param group        The current group object for this level in the tree
-     * @param name         The actual field value that we are grouping on for this node of the tree.
+     * @param node        A node of the tree
+     * @param data        The rows the tree was grouped up from -- only needed for an "indices" tree
      * 
-     * @return   Returns the modifield group object
+     * @return An array of rows, or null for a "summary" node
      */
-    aggFunction(me, data, group, name) {
-        var returnArray = [];
-    
-        // loop over each dataset in this grouping to aggregate each one.
-        for (var j=0; j<group.datasets.length; j++) {
-            if (typeof group.datasets[j] != 'undefined') {
-                var str = group.datasets[j].data;
-                switch(true){
-                    case /^sum/.test(str): 
-                        var aggField = group.datasets[j]['aggField'];
-                        var returnNum = 0;
-                        for (var i=0; i<data.length; i++) {
-                            if (me.applyModifier(data[i][group.field],group) == name) {
-                                returnNum = parseInt(data[i][aggField]) + returnNum;
-                            }
-                        }
-                        returnArray.push(returnNum);
-                        break;
-                    case /^max/.test(str) : 
-                        var aggField = group.datasets[j]['aggField'];
-                        var returnNum = Number.MIN_SAFE_INTEGER;
-                        for (var i=0; i<data.length; i++) {
-                            if (me.applyModifier(data[i][group.field],group) == name && returnNum < parseInt(data[i][aggField])) {
-                                returnNum = parseInt(data[i][aggField]);
-                            }
-                        }
-                        returnArray.push(returnNum);
-                        break;
-                    case /^min/.test(str) : 
-                        var aggField = group.datasets[j]['aggField'];
-                        var returnNum = Number.MAX_SAFE_INTEGER ;
-                        for (var i=0; i<data.length; i++) {
-                            if (me.applyModifier(data[i][group.field],group) == name && returnNum > parseInt(data[i][aggField])) {
-                                returnNum = parseInt(data[i][aggField]);
-                            }
-                        }
-                        returnArray.push(returnNum);
-                        break;
-                    case /^count/.test(str) : 
-                        var returnNum = 0;
-                        for (var i=0; i<data.length; i++) {
-                            if (me.applyModifier(data[i][group.field],group) == name) {
-                                returnNum++;
-                            }
-                        }
-                        returnArray.push(returnNum);
-                        break;
-                    case /^boxplot/.test(str) : 
-                        var aggField = group.datasets[j]['aggField'];
-                        var boxplot = {max: Number.MIN_SAFE_INTEGER, min:Number.MAX_SAFE_INTEGER, median: 0, q1:0, q3:0};
-                        var sum1 = 0;
-                        var arrayOfValues = [];
-                        for (var i=0; i<data.length; i++) {
-                            if (me.applyModifier(data[i][group.field],group) == name && boxplot.min > parseInt(data[i][aggField])) {
-                                boxplot.min = parseInt(data[i][aggField]);
-                            }
-                            if (me.applyModifier(data[i][group.field],group) == name && boxplot.max < parseInt(data[i][aggField])) {
-                                boxplot.max = parseInt(data[i][aggField]);
-                            }
-                            if (me.applyModifier(data[i][group.field],group) == name) {
-                                arrayOfValues.push(parseInt(data[i][aggField]));
-                            }
-                        }
-                        boxplot.q1 = me.Quartile_25(arrayOfValues);
-                        boxplot.median = me.Quartile_50(arrayOfValues);
-                        boxplot.q3 = me.Quartile_75(arrayOfValues);
-                        returnArray.push(boxplot);
-                        break;
-                    default: 
-                        console.log("Unknown datasets.data Function "+str)
-                }
-            }  
-        }   
-        return returnArray; 
-    }
-  
-    Median(data) {
-      return this.Quartile_50(data);
+    getNodeRows(node, data) {
+      switch(true) {
+          case Array.isArray(node.data):
+              return node.data;
+          case Array.isArray(node.rows):
+              if (! Array.isArray(data)) {
+                  throw new Error("getNodeRows() needs the data the tree was grouped up from to look up node.rows");
+              }
+              return node.rows.map(function(index) { return data[index]; });
+          default:
+              return null;
+      }
     }
-    
-    Quartile_25(data) {
-      return this.Quartile(data, 0.25);
+
+    /**
+     * @function addTreeMetrics()
+     *    Fills in node.metrics for every node of a level and the levels below it.  For each dataset of the level
+     *    (null for a dataset that does not aggregate to a number):
+     *      percentOfParent:  The node's share of the same aggregate over all the rows of its parent (0 - 100)
+     *      percentOfTotal:   The node's share of the same aggregate over all of the data (0 - 100)
+     *      runningTotal:     The cumulative total along the nodes of the level (i.e. along a time series)
+     *      difference:       The change from the previous node of the level (null for the first node)
+     *      percentChange:    The change from the previous node in percent (null for the first node)
+     *           
+     * @param nodes       The nodes of a level
+     * @param parentRows  The rows of the parent node
+     * @param allRows     All of the data
+     * @param totals      A Map of group -> accumulators over all of the data, so they are only filled once per level
+     * @param data        (optional) The data given to groupBy() -- to look up node.rows, see getNodeRows()
+     * 
+     * @return nothing
+     */
+    addTreeMetrics(nodes, parentRows, allRows, totals, data) {
+      if (! Array.isArray(nodes) || nodes.length == 0 || typeof nodes[0].group == 'undefined') {
+          return;
+      }
+      let me = this;
+      let group = nodes[0].group;
+      if (! totals.has(group)) {
+          totals.set(group, this.aggregateRows(allRows, group));
+      }
+      this.levelMetrics(nodes, this.aggregateRows(parentRows, group), totals.get(group));
+      nodes.forEach(function(node) {
+          me.addTreeMetrics(node.drilldown, me.getNodeRows(node, data), allRows, totals, data);
+      });
     }
-    
-    Quartile_50(data) {
-      return this.Quartile(data, 0.5);
+
+    /**
+     * @function levelMetrics()
+     *    Fills in node.metrics for the nodes of one level -- see addTreeMetrics().
+     *           
+     * @param nodes       The nodes of the level
+     * @param parent      The accumulators of the level's datasets over the rows of the parent node
+     * @param total       The accumulators of the level's datasets over all of the data
+     * 
+     * @return nothing
+     */
+    levelMetrics(nodes, parent, total) {
+      let me = this;
+      let parentY = parent.map(function(accumulator) { return accumulator.result(); });
+      let totalY = total.map(function(accumulator) { return accumulator.result(); });
+      let running = [];
+      let previous = null;
+
+      nodes.forEach(function(node) {
+          node.metrics = (Array.isArray(node.y) ? node.y : []).map(function(val, j) {
+              if (typeof val != 'number' || ! isFinite(val)) {
+                  return null;
+              }
+              running[j] = (running[j] || 0) + val;
+              let prev = (previous != null && Array.isArray(previous.y)) ? previous.y[j] : null;
+              let hasPrevious = typeof prev == 'number' && isFinite(prev);
+              return {
+                  percentOfParent: me.percentOf(val, parentY[j]),
+                  percentOfTotal: me.percentOf(val, totalY[j]),
+                  runningTotal: running[j],
+                  difference: hasPrevious ? val - prev : null,
+                  percentChange: hasPrevious ? me.percentOf(val - prev, prev) : null
+              };
+          });
+          previous = node;
+      });
     }
-    
-    Quartile_75(data) {
-      return this.Quartile(data, 0.75);
+
+    /**
+     * @function aggregateRows()
+     *    Feeds rows to a fresh set of accumulators for the datasets of a group.
+     *           
+     * @param rows        The rows to aggregate
+     * @param group       The group object whose datasets to aggregate
+     * 
+     * @return returns the filled accumulators -- see createAccumulators()
+     */
+    aggregateRows(rows, group) {
+      let accumulators = this.createAccumulators(group);
+      for (let i = 0; i < rows.length; i++) {
+          for (let j = 0; j < accumulators.length; j++) {
+              accumulators[j].add(rows[i]);
+          }
+      }
+      return accumulators;
     }
-    
-    Quartile(data, q) {
-      data=this.Array_Sort_Numbers(data);
-      var pos = ((data.length) - 1) * q;
-      var base = Math.floor(pos);
-      var rest = pos - base;
-      if( (data[base+1]!==undefined) ) {
-        return data[base] + rest * (data[base+1] - data[base]);
-      } else {
-        return data[base];
+
+    /**
+     * @function percentOf()
+     *    Works out a value as a percentage of a total.
+     *           
+     * @param val         The value
+     * @param total       The total
+     * 
+     * @return the percentage, or null when the total is not a number or 0
+     */
+    percentOf(val, total) {
+      if (typeof total != 'number' || ! isFinite(total) || total == 0) {
+          return null;
       }
+      return val / total * 100;
     }
-    
-    Array_Sort_Numbers(inputarray){
-      return inputarray.sort(function(a, b) {
-        return a - b;
+  
+    /**
+     * @function groupByOption()
+     *    Looks up a setting for a level of the tree.  A setting on the group object wins over the
+     *    one in this.groupByOptions, which wins over the default.
+     *           
+     * @param name        The name of the setting (i.e. timezone)
+     * @param group       The group object for this level of the tree.
+     * 
+     * @return The value of the setting
+     */
+    groupByOption(name, group) {
+      if (typeof group != 'undefined' && group != null && typeof group[name] != 'undefined') {
+          return group[name];
+      }
+      if (typeof this.groupByOptions != 'undefined' && this.groupByOptions != null && typeof this.groupByOptions[name] != 'undefined') {
+          return this.groupByOptions[name];
+      }
+      return defaultGroupByOptions[name];
+    }
+  
+    /**
+     * @function createTree()
+     *    Same as groupBy() except that the mixin holds on to the data and the tree, so rows can be added, changed
+     *    and removed afterwards with addRows(), updateRows() and removeRows() without grouping up all the data again.
+     *    Only works with the "full" output (see groupBy()).
+     *           
+     * @param data        An array of objects that is to be grouped up (the array is copied, the rows are not)
+     * @param groups      An array of objects that represents the order in which the data is to be grouped up.
+     * @param aggFunc     The function to use on each grouping.  Default is aggFunction()
+     * @param pathAggFunc The path function to use on each grouping.  Default is pathAggFunction()
+     * 
+     * @return returns the same Tree Object as groupBy()
+     */
+    createTree(data, groups, aggFunc = this.aggFunction, pathAggFunc = this.pathAggFunction) {
+      // The updates work on node.data
+      if (this.groupByOption('output') != 'full') {
+          throw new Error("createTree() needs the 'output' setting to be \"full\"");
+      }
+      this.treeState = {data: data.slice(), groups: this.normalizeGroups(groups), aggFunc: aggFunc, pathAggFunc: pathAggFunc};
+      this.treeState.tree = this.groupBy(this.treeState.data, this.treeState.groups, this.treeState.groups, aggFunc, pathAggFunc);
+      this.treeState.rows = this.firstLevelRows(this.treeState.data, this.treeState.groups);
+      return this.treeState.tree;
+    }
+
+    /**
+     * @function firstLevelRows()
+     *    Returns the rows that pass the 'where' of the first level -- the rows the totals and metrics are over.
+     *           
+     * @param data        All of the data
+     * @param groups      The full groups object
+     * 
+     * @return An array of rows, or null when the first level has no 'where' (so they are all of the data)
+     */
+    firstLevelRows(data, groups) {
+      let group = groups[0];
+      if (typeof group == 'undefined' || typeof group.where == 'undefined' || group.where == null) {
+          return null;
+      }
+      return this.filterRows(data, group.where);
+    }
+
+    /**
+     * @function addRows()
+     *    Adds rows to the tree built by createTree().  Only the nodes the rows fall in are updated.
+     *           
+     * @param rows        An array of objects to add
+     * 
+     * @return {tree, changed, added, removed} -- the (updated in place) tree and the paths of the nodes that
+     *         changed, that are new and that went away, so charts can redraw just those.
+     */
+    addRows(rows) {
+      this.checkTreeState("addRows");
+      for (let i = 0; i < rows.length; i++) {
+          this.treeState.data.push(rows[i]);
+      }
+      return this.applyTreeChanges([], rows);
+    }
+
+    /**
+     * @function updateRows()
+     *    Replaces rows of the tree built by createTree() with a changed version of them.  Rows are matched on their
+     *    key field.  A row whose key is not in the tree yet is added.  The changed row can be a new object or the row
+     *    itself changed in place.  Note:  A changed row moves to the end of the data, as if it was removed and added
+     *    again (which matters for first() and last()).
+     *           
+     * @param rows        An array of the changed objects
+     * @param key         (optional) The field that identifies a row.  Default is the 'rowKey' setting ("_id").
+     * 
+     * @return {tree, changed, added, removed} -- see addRows()
+     */
+    updateRows(rows, key = this.groupByOption('rowKey')) {
+      this.checkTreeState("updateRows");
+      let keys = new Set(rows.map(function(row) { return row[key]; }));
+      let removed = [];
+      this.treeState.data = this.treeState.data.filter(function(row) {
+          if (typeof row[key] != 'undefined' && keys.has(row[key])) {
+              removed.push(row);
+              return false;
+          }
+          return true;
       });
+      for (let i = 0; i < rows.length; i++) {
+          this.treeState.data.push(rows[i]);
+      }
+      return this.applyTreeChanges(removed, rows);
     }
-    
-    Array_Sum(t){
-       return t.reduce(function(a, b) { return a + b; }, 0); 
+
+    /**
+     * @function removeRows()
+     *    Removes rows from the tree built by createTree().
+     *           
+     * @param rows        An array of the objects to remove, or of their keys
+     * @param key         (optional) The field that identifies a row.  Default is the 'rowKey' setting ("_id").
+     * 
+     * @return {tree, changed, added, removed} -- see addRows()
+     */
+    removeRows(rows, key = this.groupByOption('rowKey')) {
+      this.checkTreeState("removeRows");
+      let state = this.treeState;
+      let keys = new Set(rows.map(function(row) { return (row != null && typeof row == 'object') ? row[key] : row; }));
+      let objects = new Set(rows);
+      let removed = [];
+      state.data = state.data.filter(function(row) {
+          if (objects.has(row) || (typeof row[key] != 'undefined' && keys.has(row[key]))) {
+              removed.push(row);
+              return false;
+          }
+          return true;
+      });
+      return this.applyTreeChanges(removed, []);
     }
-    
-    Array_Average(data) {
-      return this.Array_Sum(data) / data.length;
+
+    /**
+     * @function checkTreeState()
+     *    Throws when there is no tree built by createTree() to update.
+     *           
+     * @param caller      The name of the calling function for the error message
+     * 
+     * @return nothing
+     */
+    checkTreeState(caller) {
+      if (typeof this.treeState == 'undefined' || this.treeState == null) {
+          throw new Error("createTree() has to be called before " + caller + "()");
+      }
     }
-    
-    Array_Stdev(tab){
-       var i,j,total = 0, mean = 0, diffSqredArr = [];
-       for(i=0;i<tab.length;i+=1){
-           total+=tab[i];
-       }
-       mean = total/tab.length;
-       for(j=0;j<tab.length;j+=1){
-           diffSqredArr.push(Math.pow((tab[j]-mean),2));
-       }
-       return (Math.sqrt(diffSqredArr.reduce(function(firstEl, nextEl){
-                return firstEl + nextEl;
-              })/tab.length));  
+
+    /**
+     * @function applyTreeChanges()
+     *    Works the removed and added rows into the tree built by createTree().
+     *           
+     * @param removed     The rows that are no longer in the data
+     * @param added       The rows that are new in the data
+     * 
+     * @return {tree, changed, added, removed} -- see addRows()
+     */
+    applyTreeChanges(removed, added) {
+      let state = this.treeState;
+      let changes = {tree: state.tree, changed: [], added: [], removed: []};
+
+      let me = this;
+      let rebuild = function(group) {
+          return group.modifier == 'histogram' || (group.modifier == 'bucket' && group.wholeNumbers === true && ! me.wholeNumbers(added, group)) ||
+                 (group.fields || []).some(rebuild);
+      };
+      if (state.groups.length == 0 || state.groups.some(rebuild)) {
+          // The histogram bins (and the bucket() labels once a value is not a whole number) depend on all of the
+          // data, so the whole tree is grouped up again
+          let tree = this.groupBy(state.data, state.groups, state.groups, state.aggFunc, state.pathAggFunc);
+          if (Array.isArray(state.tree) && Array.isArray(tree)) {
+              this.diffTreeLevel(state.tree, tree, changes);
+          }
+          state.tree = changes.tree = tree;
+          state.rows = this.firstLevelRows(state.data, state.groups);
+          state.metricTotals = null;
+          return changes;
+      }
+
+      // The rows that were changed in place can not be taken back out of an accumulator with their old values
+      let addedRows = new Set(added);
+      state.changedInPlace = new Set(removed.filter(function(row) { return addedRows.has(row); }));
+
+      // The change to the rows under the first level, which the totals and metrics are over
+      let rootChange = {removed: removed, added: added};
+      if (Array.isArray(state.rows)) {
+          let gone = new Set(removed);
+          rootChange = {removed: [], added: this.filterRows(added, state.groups[0].where)};
+          state.rows = state.rows.filter(function(row) {
+              if (gone.has(row)) {
+                  rootChange.removed.push(row);
+                  return false;
+              }
+              return true;
+          }).concat(rootChange.added);
+      }
+      let allRows = Array.isArray(state.rows) ? state.rows : state.data;
+      let metrics = this.groupByOption('metrics');
+      if (metrics) {
+          // The grand totals of each level are updated like the aggregates of a node
+          if (! (state.metricTotals instanceof Map)) {
+              state.metricTotals = new Map();
+          } else {
+              state.metricTotals.forEach(function(accumulators, group) {
+                  state.metricTotals.set(group, me.updateAccumulators(accumulators, allRows, group, rootChange));
+              });
+          }
+      }
+
+      let root = this.groupByOption('totals') ? state.tree[0] : null;
+      let level = (root != null) ? root.drilldown : state.tree;
+      this.updateTreeLevel(level, state.data, state.groups, removed, added, changes, []);
+
+      if (root != null) {
+          root.data = allRows;
+          root.y = this.updateNodeAggregates(root, state.groups[0], rootChange);
+          if (metrics) {
+              root.metrics = this.rootMetrics(root.y);
+          }
+          changes.changed.push(root.path);
+      }
+      if (metrics) {
+          // updateTreeLevel() only works out the metrics of the levels that changed, but the share of the grand total
+          // of the other nodes moves with the grand total
+          let totalY = new Map();
+          this.walk(level, function(node) {
+              if (! Array.isArray(node.metrics) || typeof node.group == 'undefined') {
+                  return;
+              }
+              if (! totalY.has(node.group)) {
+                  totalY.set(node.group, me.metricTotal(node.group).map(function(accumulator) { return accumulator.result(); }));
+              }
+              node.metrics.forEach(function(metric, j) {
+                  if (metric != null) {
+                      metric.percentOfTotal = me.percentOf(node.y[j], totalY.get(node.group)[j]);
+                  }
+              });
+          });
+      }
+      return changes;
     }
-    
+
     /**
-     * @function pathAggFunction()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *   This function calculates the path for this node in the tree using the current groups object 
-     *   and the first record in the current data object.
+     * @function metricTotal()
+     *    Returns the accumulators of a level's datasets over all the rows of the tree built by createTree() -- the
+     *    grand totals of node.metrics.  They are filled the first time they are needed and kept up to date by
+     *    applyTreeChanges() from then on.
+     *           
+     * @param group       The group object of the level
      * 
-     * @param me           A reference to 'this' object
-     * @param data         The data object for this grouping (an array of objects)
-     * @param group        The current group object for this level in the tree
-     * @param name         The actual field value that we are grouping on for this node of the tree.
+     * @return returns the accumulators -- see createAccumulators()
+     */
+    metricTotal(group) {
+      let state = this.treeState;
+      if (! state.metricTotals.has(group)) {
+          state.metricTotals.set(group, this.aggregateRows(Array.isArray(state.rows) ? state.rows : state.data, group));
+      }
+      return state.metricTotals.get(group);
+    }
+
+    /**
+     * @function updateLevelMetrics()
+     *    Works out node.metrics again for a level of the tree built by createTree() after its parent node changed.
+     *    The accumulators of the parent's rows are kept, like the ones of the nodes (see updateNodeAggregates()).
+     *           
+     * @param nodes       The nodes of the level
+     * @param rows        All the rows of the parent node, after the change
+     * @param group       The group object for this level
+     * @param change      {removed, added} rows of the parent node
+     * @param first       true for the first level, whose parent is all of the data
      * 
-     * @return   Returns a string in the form:    "path > path > path..."
+     * @return nothing
      */
-    pathAggFunction(me, data, groups, group, name) {
-        var path = "";
-        for (var i=0; i<groups.length; i++) {
-            if (groups[i].field != group.field) {
-                path += me.applyModifier(data[0][groups[i].field],groups[i]) + " > ";
-            } else {
-                path += me.applyModifier(data[0][groups[i].field],groups[i]);
-                break;
-            }
-    
-        }
-        return path;
+    updateLevelMetrics(nodes, rows, group, change, first) {
+      let total = this.metricTotal(group);
+      let parent = total;
+      if (! first) {
+          parent = levelAccumulators.get(nodes);
+          parent = (typeof parent == 'undefined') ? this.aggregateRows(rows, group) : this.updateAccumulators(parent, rows, group, change);
+          levelAccumulators.set(nodes, parent);
+      }
+      this.levelMetrics(nodes, parent, total);
     }
-  
+
     /**
-     * @function downloadData()
-     * @author Martin Israelsen <martin.israelsen@gmail.com>
-     *    Dumps out the data for this particular 'data' object into csv format.
+     * @function updateTreeLevel()
+     *    Updates one level of the tree for the removed and added rows, and recurses into the nodes they fall in.
+     *    A level that depends on all of its nodes at once (having, limit or fillEmpty) is grouped up again from the
+     *    rows of its parent instead.
      *           
-     * @param series       The series object which holds the path information for this data object
-     * @param downloadObj  Holds which fields to download.
-     * @param data         The data object to download.
+     * @param nodes       The nodes of this level (updated in place)
+     * @param rows        All the rows of the parent node, after the change
+     * @param groups      The groups from this level down
+     * @param removed     The removed rows that belong to the parent node
+     * @param added       The added rows that belong to the parent node
+     * @param changes     Collects the paths of the changed, added and removed nodes
+     * @param parentNames The names of the nodes above this level
      * 
-     * @return a csv file of the data
-     */        
-    downloadDataToCsv(series, downloadObj, data) {
-      var me = this;
-      var exportStr = "";
-  
-      exportStr += me.title;
-      exportStr += "\n\n";
-  
-      if (typeof series.path != 'undefined') {
-          exportStr += "Local Filter:\n";
-          series.path = series.path.replace(/,/g, " ");
-          if (parseInt(series.path) > 0) {
-              exportStr += '="'+series.path+'"'+",";
+     * @return nothing
+     */
+    updateTreeLevel(nodes, rows, groups, removed, added, changes, parentNames = []) {
+      let state = this.treeState;
+      let group = groups[0];
+      let metrics = this.groupByOption('metrics');
+      let parentChange = {removed: removed, added: added};
+
+      if ((typeof group.having != 'undefined' && group.having != null) || typeof this.groupByOption('limit', group) == 'number' ||
+          (group.modifier == 'date_trunc' && this.groupByOption('fillEmpty', group))) {
+          let rebuilt = this.groupLevel(rows, groups, state.groups, state.aggFunc, state.pathAggFunc, parentNames);
+          this.diffTreeLevel(nodes, rebuilt, changes);
+          nodes.splice.apply(nodes, [0, nodes.length].concat(rebuilt));
+          levelRows.delete(nodes);
+          if (metrics) {
+              this.updateLevelMetrics(nodes, rows, group, parentChange, parentNames.length == 0);
+              nodes.forEach(function(node) {
+                  this.addTreeMetrics(node.drilldown, node.data, Array.isArray(state.rows) ? state.rows : state.data, state.metricTotals, state.data);
+              }, this);
+          }
+          return;
+      }
+
+      if (typeof group.where != 'undefined' && group.where != null) {
+          added = this.filterRows(added, group.where);
+      }
+
+      // The removed rows go to the nodes they are in (a row changed in place no longer has the values it was
+      // grouped on), the added rows are bucketed the same way groupBy() does
+      let index = this.levelRowIndex(nodes);
+      let touched = new Map();
+      let touch = function(name, kind, row) {
+          if (! touched.has(name)) {
+              touched.set(name, {removed: [], added: []});
+          }
+          touched.get(name)[kind].push(row);
+      };
+      for (let i = 0; i < removed.length; i++) {
+          let names = index.get(removed[i]);
+          if (typeof names != 'undefined') {
+              names.forEach(function(name) { touch(name, 'removed', removed[i]); });
+              index.delete(removed[i]);
+          }
+      }
+      for (let i = 0; i < added.length; i++) {
+          let keys = this.groupKeys(added[i], group);
+          keys.forEach(function(name) { touch(name, 'added', added[i]); });
+          index.set(added[i], keys);
+      }
+
+      touched.forEach(function(change, name) {
+          let index = nodes.findIndex(function(node) { return node.name === name; });
+          if (index == -1) {
+              if (change.added.length > 0) {
+                  // A new node -- exploded rows can also come back under their other values, those are left to
+                  // their own entries of 'touched'
+                  let created = this.groupLevel(change.added, groups, state.groups, state.aggFunc, state.pathAggFunc, parentNames);
+                  for (let i = 0; i < created.length; i++) {
+                      if (created[i].name === name) {
+                          nodes.push(created[i]);
+                          changes.added.push(created[i].path);
+                          if (metrics) {
+                              this.addTreeMetrics(created[i].drilldown, created[i].data, Array.isArray(state.rows) ? state.rows : state.data, state.metricTotals, state.data);
+                          }
+                      }
+                  }
+              }
+              return;
+          }
+
+          let node = nodes[index];
+          let gone = new Set(change.removed);
+          node.data = node.data.filter(function(row) { return ! gone.has(row); }).concat(change.added);
+          if (node.data.length == 0) {
+              nodes.splice(index, 1);
+              changes.removed.push(node.path);
+              return;
+          }
+
+          node.y = this.updateNodeAggregates(node, group, change);
+          if (groups.length > 1) {
+              this.updateTreeLevel(node.drilldown, node.data, groups.slice(1), change.removed, change.added, changes, parentNames.concat([node.name]));
           } else {
-              exportStr += '"'+series.path+'"'+",";
+              node.drilldown = Object.assign({}, node.data);
           }
-          exportStr += "\n\n\n";
+          changes.changed.push(node.path);
+      }, this);
+
+      if (touched.size > 0) {
+          let byName = new Map(nodes.map(function(node) { return [node.name, node]; }));
+          let aggregates = new Map(nodes.map(function(node) { return [node.name, node.y]; }));
+          let names = this.sortGroupNames(Array.from(byName.keys()), group, aggregates);
+          nodes.splice.apply(nodes, [0, nodes.length].concat(names.map(function(name) { return byName.get(name); })));
       }
-  
-      // Dump out header
-      for (var item in downloadObj) {
-          exportStr += '"'+downloadObj[item]+'"'+",";
+
+      // The rows of the parent changed, so the metrics of the whole level change with them
+      if (metrics) {
+          if (nodes.length == 0) {
+              levelAccumulators.delete(nodes);
+          } else {
+              this.updateLevelMetrics(nodes, rows, group, parentChange, parentNames.length == 0);
+          }
       }
-      exportStr += "\n";
-  
-      // Now dump out data.
-      for (var k= 0; k < data.length; k++) {
-          for (var i=0; i< downloadObj.length; i++) {
-               exportStr += '"'+data[k][downloadObj[i]]+'"'+",";           
+    }
+
+    /**
+     * @function levelRowIndex()
+     *    Returns which nodes of a level of the tree built by createTree() each row is in.  It is built the first time
+     *    the level is updated and kept up to date by updateTreeLevel() from then on.
+     *           
+     * @param nodes       The nodes of the level
+     * 
+     * @return A Map of row -> array of node names
+     */
+    levelRowIndex(nodes) {
+      let index = levelRows.get(nodes);
+      if (typeof index == 'undefined') {
+          index = new Map();
+          for (let i = 0; i < nodes.length; i++) {
+              for (let k = 0; k < nodes[i].data.length; k++) {
+                  let row = nodes[i].data[k];
+                  if (! index.has(row)) {
+                      index.set(row, []);
+                  }
+                  index.get(row).push(nodes[i].name);
+              }
+          }
+          levelRows.set(nodes, index);
+      }
+      return index;
+    }
+
+    /**
+     * @function updateNodeAggregates()
+     *    Recomputes the y array of a node after rows were removed from or added to its data.  The accumulators of
+     *    the node are kept, so added rows are just fed to them, as are removed rows when every accumulator can
+     *    remove a row.  Otherwise (i.e. max, median, boxplot, or a row that was changed in place and so can not be
+     *    taken back out with its old values) they are filled again from the node's data.
+     *           
+     * @param node        The node (its data already updated)
+     * @param group       The group object for the node's level
+     * @param change      {removed, added} rows of this node
+     * 
+     * @return   Returns the new y array
+     */
+    updateNodeAggregates(node, group, change) {
+      let accumulators = nodeAccumulators.get(node);
+      accumulators = (typeof accumulators == 'undefined') ? this.aggregateRows(node.data, group) : this.updateAccumulators(accumulators, node.data, group, change);
+      nodeAccumulators.set(node, accumulators);
+      return this.treeState.aggFunc(this, node.data, group, node.name, accumulators);
+    }
+
+    /**
+     * @function updateAccumulators()
+     *    Feeds the removed and added rows to a set of accumulators -- see updateNodeAggregates().
+     *           
+     * @param accumulators The accumulators (see createAccumulators())
+     * @param rows        All the rows they are over, after the change
+     * @param group       The group object whose datasets they are for
+     * @param change      {removed, added} rows
+     * 
+     * @return   Returns the updated accumulators, or new ones filled from 'rows' when a removed row can not be
+     *           taken back out
+     */
+    updateAccumulators(accumulators, rows, group, change) {
+      let removable = accumulators.every(function(accumulator) {
+          return typeof accumulator.remove == 'function';
+      });
+
+      let changedInPlace = this.treeState.changedInPlace;
+      if (changedInPlace instanceof Set && change.removed.some(function(row) { return changedInPlace.has(row); })) {
+          removable = false;
+      }
+
+      if (change.removed.length > 0 && ! removable) {
+          return this.aggregateRows(rows, group);
+      }
+      for (let i = 0; i < change.removed.length; i++) {
+          for (let j = 0; j < accumulators.length; j++) {
+              accumulators[j].remove(change.removed[i]);
+          }
+      }
+      for (let i = 0; i < change.added.length; i++) {
+          for (let j = 0; j < accumulators.length; j++) {
+              accumulators[j].add(change.added[i]);
+          }
+      }
+      return accumulators;
+    }
+
+    /**
+     * @function diffTreeLevel()
+     *    Compares a level of the tree with its rebuilt version and collects the paths of the nodes that changed.
+     *           
+     * @param before      The nodes of the level before the change
+     * @param after       The nodes of the level after the change
+     * @param changes     Collects the paths of the changed, added and removed nodes
+     * 
+     * @return nothing
+     */
+    diffTreeLevel(before, after, changes) {
+      let old = new Map(before.map(function(node) { return [node.name, node]; }));
+      for (let i = 0; i < after.length; i++) {
+          let node = old.get(after[i].name);
+          if (typeof node == 'undefined') {
+              changes.added.push(after[i].path);
+              continue;
+          }
+          old.delete(after[i].name);
+          if (Array.isArray(node.drilldown) && Array.isArray(after[i].drilldown)) {
+              this.diffTreeLevel(node.drilldown, after[i].drilldown, changes);
+          }
+          if (node.data.length != after[i].data.length || JSON.stringify(node.y) != JSON.stringify(after[i].y)) {
+              changes.changed.push(after[i].path);
           }
-  
-          exportStr += "\n";
       }
+      old.forEach(function(node) {
+          changes.removed.push(node.path);
+      });
+    }
   
-      me.export(exportStr, "ez_download.csv", 'text/csv;charset=utf-8;');
+    /**
+     * @function pivot()
+     *    Groups up the 'data' into a cross tab (matrix) instead of a tree -- i.e. company down the rows,
+     *    date_trunc(month,startdate) across the columns and sum(revenue) in the cells, with row, column and grand totals.
+     *    The fields, modifiers, settings (sort, where, fillEmpty, ...) and aggregates work the same as in groupBy().
+     *           
+     * @param data           An array of objects that is to be grouped up
+     * @param rowGroups      The group objects (or just field strings) for the rows, i.e. [{"field": "company"}] or ["company"]
+     * @param columnGroups   The group objects (or just field strings) for the columns, i.e. ["date_trunc(month,startdate)"]
+     * @param datasets       The datasets to aggregate in each cell, i.e. [{"label": "Revenue", "data": "sum(revenue)"}]
+     * 
+     * @return {
+     *           rowFields:     The header of each row group
+     *           columnFields:  The header of each column group
+     *           datasets:      The label of each dataset
+     *           rows:          The keys of each row -- an array with one value per row group
+     *           columns:       The keys of each column -- an array with one value per column group
+     *           cells:         cells[row][column] is the array of aggregates (one per dataset), null for an empty cell
+     *           rowTotals:     rowTotals[row] is the array of aggregates over all columns
+     *           columnTotals:  columnTotals[column] is the array of aggregates over all rows
+     *           grandTotal:    The array of aggregates over all the data
+     *         }
+     */
+    pivot(data, rowGroups, columnGroups, datasets) {
+      var me = this;
+      var toGroup = function(group) {
+          return Object.assign({datasets: []}, (typeof group == 'string') ? {field: group} : group);
+      };
+      var prepared = me.prepareGroups(data, rowGroups.map(toGroup).concat(columnGroups.map(toGroup)));
+      rowGroups = prepared.slice(0, rowGroups.length);
+      columnGroups = prepared.slice(rowGroups.length);
+
+      var valueGroup = {datasets: datasets.map(function(dataset) {
+          dataset = Object.assign({}, dataset);
+          dataset['aggField'] = me.parseAggStr(dataset.data);
+          dataset['aggParams'] = me.parseAggParams(dataset.data);
+          return dataset;
+      })};
+
+      // Only the rows that pass every 'where' of the row and column groups count
+      rowGroups.concat(columnGroups).forEach(function(group) {
+          if (typeof group.where != 'undefined' && group.where != null) {
+              data = me.filterRows(data, group.where);
+          }
+      });
+
+      // Single pass:  feed each row to its cell, its row total, its column total and the grand total
+      var rowKeys = new Map();
+      var columnKeys = new Map();
+      var cells = new Map();
+      var rowTotals = new Map();
+      var columnTotals = new Map();
+      var grandTotal = me.createAccumulators(valueGroup);
+      var feed = function(map, id, row) {
+          if (! map.has(id)) {
+              map.set(id, me.createAccumulators(valueGroup));
+          }
+          map.get(id).forEach(function(accumulator) { accumulator.add(row); });
+      };
+      // Every combination of the row's keys -- more than one when a group explodes the row
+      var combinations = function(row, groups) {
+          return groups.reduce(function(keys, group) {
+              var names = me.groupKeys(row, group);
+              return [].concat.apply([], keys.map(function(key) { return names.map(function(name) { return key.concat([name]); }); }));
+          }, [[]]);
+      };
+      for (var i=0; i<data.length; i++) {
+          var rowIds = combinations(data[i], rowGroups).map(function(rowKey) {
+              var rowId = JSON.stringify(rowKey);
+              rowKeys.set(rowId, rowKey);
+              feed(rowTotals, rowId, data[i]);
+              return rowId;
+          });
+          combinations(data[i], columnGroups).forEach(function(columnKey) {
+              var columnId = JSON.stringify(columnKey);
+              columnKeys.set(columnId, columnKey);
+              feed(columnTotals, columnId, data[i]);
+              rowIds.forEach(function(rowId) { feed(cells, rowId + "\u0000" + columnId, data[i]); });
+          });
+          grandTotal.forEach(function(accumulator) { accumulator.add(data[i]); });
+      }
+
+      var results = function(accumulators) {
+          return accumulators.map(function(accumulator) { return accumulator.result(); });
+      };
+      var totals = function(map) {
+          var aggregates = new Map();
+          map.forEach(function(accumulators, id) { aggregates.set(id, results(accumulators)); });
+          return aggregates;
+      };
+      var rowAggregates = totals(rowTotals);
+      var columnAggregates = totals(columnTotals);
+
+      var rows = me.sortPivotKeys(Array.from(rowKeys.values()), rowGroups, rowAggregates, valueGroup);
+      var columns = me.sortPivotKeys(Array.from(columnKeys.values()), columnGroups, columnAggregates, valueGroup);
+      var empty = function() { return results(me.createAccumulators(valueGroup)); };
+
+      return {
+          rowFields: rowGroups.map(function(group) { return me.groupLabel(group); }),
+          columnFields: columnGroups.map(function(group) { return me.groupLabel(group); }),
+          datasets: valueGroup.datasets.map(function(dataset) { return me.datasetLabel(dataset); }),
+          rows: rows,
+          columns: columns,
+          cells: rows.map(function(rowKey) {
+              return columns.map(function(columnKey) {
+                  var accumulators = cells.get(JSON.stringify(rowKey) + "\u0000" + JSON.stringify(columnKey));
+                  return (typeof accumulators == 'undefined') ? null : results(accumulators);
+              });
+          }),
+          rowTotals: rows.map(function(rowKey) { return rowAggregates.get(JSON.stringify(rowKey)) || empty(); }),
+          columnTotals: columns.map(function(columnKey) { return columnAggregates.get(JSON.stringify(columnKey)) || empty(); }),
+          grandTotal: results(grandTotal)
+      };
+    }
+
+    /**
+     * @function sortPivotKeys()
+     *    Sorts the row (or column) keys of a pivot level by level using the sort settings of each group.
+     *    With a single group the empty time buckets are added when the group has fillEmpty set, and sorting on
+     *    a dataset uses the totals of the row (or column).
+     *           
+     * @param keys           The keys -- arrays with one value per group
+     * @param groups         The row (or column) groups
+     * @param aggregates     A Map of JSON key -> aggregated totals
+     * @param valueGroup     The group holding the pivot's datasets
+     * 
+     * @return   Returns the sorted keys
+     */
+    sortPivotKeys(keys, groups, aggregates, valueGroup) {
+      var me = this;
+      if (groups.length == 1 && groups[0].modifier == 'date_trunc' && me.groupByOption('fillEmpty', groups[0])) {
+          var present = new Set(keys.map(function(key) { return key[0]; }));
+          me.fillTimeBuckets(Array.from(present), groups[0].modifierParams[0]).forEach(function(name) {
+              if (! present.has(name)) {
+                  keys.push([name]);
+              }
+          });
+      }
+
+      var ranks = groups.map(function(group, level) {
+          var names = Array.from(new Set(keys.map(function(key) { return key[level]; })));
+          var levelAggregates;
+          if (groups.length == 1) {
+              levelAggregates = new Map(names.map(function(name) { return [name, aggregates.get(JSON.stringify([name]))]; }));
+          }
+          var sorted = me.sortGroupNames(names, Object.assign({}, group, {datasets: valueGroup.datasets}), levelAggregates);
+          return new Map(sorted.map(function(name, i) { return [name, i]; }));
+      });
+
+      return keys.sort(function(a, b) {
+          for (var level=0; level<groups.length; level++) {
+              var diff = ranks[level].get(a[level]) - ranks[level].get(b[level]);
+              if (diff != 0) {
+                  return diff;
+              }
+          }
+          return 0;
+      });
+    }
+  
+    /**
+     * @function IN()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *    Quickly check to see if the val is in the list.  
+     *    Note:  The list starts empty and we push onto it when we find a unique value.
+     *           
+     * @param list        The array to check   
+     * @param val         The value to check if it exists in the array already
+     * 
+     * @return true or false
+     */
+    IN(list, val) {
+      if (list.indexOf(val) == -1) {
+          return false;
+      }
+      return true;
+    }
+  
+  
+    /**
+     * @function groupKey()
+     *    Returns the value a row is grouped under at this level of the tree, i.e. the row's group field
+     *    with any modifier (date_trunc etc) applied.
+     *           
+     * @param row         One record of the data set
+     * @param group       The group object for this level of the tree.
+     * 
+     * @return The (modified) group value for this row -- the first one when the level explodes the row
+     */
+    groupKey(row, group) {
+      return this.groupKeys(row, group)[0];
+    }
+
+    /**
+     * @function groupKeys()
+     *    Returns all the values a row is grouped under at this level of the tree.  That is a single value unless
+     *    the level explodes the row's values (see the 'explode' setting of groupBy()).  For a list of fields
+     *    it is every combination of their values, joined with the 'join' setting.
+     *           
+     * @param row         One record of the data set
+     * @param group       The group object for this level of the tree.
+     * 
+     * @return An array with the (modified) group values for this row
+     */
+    groupKeys(row, group) {
+      let me = this;
+      let explode = this.groupByOption('explode', group);
+      let keys = function(level) {
+          let values = me.explodeValue(me.fieldValue(row, level), explode);
+          let names = [];
+          for (let i = 0; i < values.length; i++) {
+              let name = me.isBlank(values[i]) ? me.groupByOption('blankLabel', level) : me.applyModifier(values[i], level);
+              if (names.indexOf(name) == -1) {
+                  names.push(name);
+              }
+          }
+          return names;
+      };
+      if (! Array.isArray(group.fields)) {
+          return keys(group);
+      }
+
+      let join = this.groupByOption('join', group);
+      let combinations = [""];
+      group.fields.forEach(function(level, index) {
+          let names = keys(level);
+          combinations = [].concat.apply([], combinations.map(function(prefix) {
+              return names.map(function(name) { return (index == 0) ? String(name) : prefix + join + name; });
+          }));
+      });
+      return combinations;
+    }
+
+    /**
+     * @function explodeValue()
+     *    Splits a value up for the 'explode' setting -- an array into its elements and, when explode is a string,
+     *    a text value on that string.
+     *           
+     * @param val         The value of the group field
+     * @param explode     The 'explode' setting (false, true or a separator such as ",")
+     * 
+     * @return An array with the values (a single missing value for an empty array)
+     */
+    explodeValue(val, explode) {
+      switch(true) {
+          case ! explode:
+              return [val];
+          case Array.isArray(val):
+              return (val.length == 0) ? [null] : val;
+          case typeof explode == 'string' && typeof val == 'string':
+              return val.split(explode).map(function(part) { return part.trim(); });
+          default:
+              return [val];
+      }
+    }
+
+    /**
+     * @function fieldValue()
+     *    Returns the value of the group field for a row -- computed for a field such as upper(company).
+     *           
+     * @param row         One record of the data set
+     * @param group       The group object for this level of the tree (already parsed with parseGroupByField()).
+     * 
+     * @return The value of the field, before any modifier is applied
+     */
+    fieldValue(row, group) {
+      if (typeof group.expression != 'undefined') {
+          return this.evaluateExpression(group.expression, row, {numberFormat: this.groupByOption('numberFormat', group)});
+      }
+      return row[group.field];
+    }
+
+    /**
+     * @function isBlank()
+     *    Checks for a missing value (undefined, null or an empty string).
+     *           
+     * @param val         The value to check
+     * 
+     * @return true or false
+     */
+    isBlank(val) {
+      return typeof val == 'undefined' || val === null || (typeof val == 'string' && val.trim() == "");
+    }
+
+    /**
+     * @function datasetOption()
+     *    Looks up a setting for a dataset.  A setting on the dataset wins over the ones for its level -- see groupByOption().
+     *           
+     * @param name        The name of the setting (i.e. nulls)
+     * @param dataset     The dataset object
+     * @param group       The group object for this level of the tree.
+     * 
+     * @return The value of the setting
+     */
+    datasetOption(name, dataset, group) {
+      if (typeof dataset != 'undefined' && dataset != null && typeof dataset[name] != 'undefined') {
+          return dataset[name];
+      }
+      return this.groupByOption(name, group);
+    }
+
+    /**
+     * @function parseNumber()
+     *    Parses a number the way it is written in the data (i.e. "1,200.50" or "1.200,50" with a German numberFormat).
+     *           
+     * @param val           The value to parse
+     * @param numberFormat  (optional) {decimal, thousands} or a locale such as "de-DE".  Default is {decimal: ".", thousands: ","}
+     * 
+     * @return The number, or null when the value is missing or not a number
+     */
+    parseNumber(val, numberFormat) {
+      if (typeof val == 'number') {
+          return isFinite(val) ? val : null;
+      }
+      if (typeof val != 'string' || this.isBlank(val)) {
+          return null;
+      }
+      var format = this.resolveNumberFormat(numberFormat);
+      var str = val.trim();
+      if (format.thousands != "") {
+          str = str.split(format.thousands).join("");
+      }
+      if (format.decimal != ".") {
+          str = str.split(format.decimal).join(".");
+      }
+      // Spaces are used as a thousands separator in a lot of locales
+      str = str.replace(/[\s\u00a0\u202f]/g, "");
+      if (! /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(str)) {
+          return null;
+      }
+      return parseFloat(str);
+    }
+
+    /**
+     * @function resolveNumberFormat()
+     *    Turns a numberFormat setting into its decimal and thousands separators.
+     *           
+     * @param numberFormat  {decimal, thousands}, a locale such as "de-DE" or undefined for the default
+     * 
+     * @return {decimal, thousands}
+     */
+    resolveNumberFormat(numberFormat) {
+      switch(true) {
+          case typeof numberFormat == 'string':
+              if (typeof localeNumberFormats[numberFormat] == 'undefined') {
+                  var format = {decimal: ".", thousands: ""};
+                  new Intl.NumberFormat(numberFormat).formatToParts(1234567.5).forEach(function(part) {
+                      if (part.type == 'decimal') {
+                          format.decimal = part.value;
+                      } else if (part.type == 'group') {
+                          format.thousands = part.value;
+                      }
+                  });
+                  localeNumberFormats[numberFormat] = format;
+              }
+              return localeNumberFormats[numberFormat];
+          case typeof numberFormat == 'object' && numberFormat != null:
+              return {
+                  decimal: (typeof numberFormat.decimal == 'string') ? numberFormat.decimal : ".",
+                  thousands: (typeof numberFormat.thousands == 'string') ? numberFormat.thousands : ""
+              };
+          default:
+              return defaultGroupByOptions.numberFormat;
+      }
+    }
+
+    /**
+     * @function parseValue()
+     *    Parses the value of an aggregated field and applies the 'nulls' policy to missing and non-numeric values.
+     *           
+     * @param val           The value to parse
+     * @param nulls         "skip", "zero" or "error"
+     * @param numberFormat  See parseNumber()
+     * @param context       Describes where the value comes from (i.e. "sum(revenue)") for the error message
+     * 
+     * @return The number, 0 or null (skip) for a missing or non-numeric value
+     */
+    parseValue(val, nulls, numberFormat, context) {
+      var num = this.parseNumber(val, numberFormat);
+      if (num != null) {
+          return num;
+      }
+      switch(nulls) {
+          case "zero":
+              return 0;
+          case "error":
+              throw new Error("Invalid value " + JSON.stringify(val) + " in " + context);
+          default:
+              return null;
+      }
+    }
+  
+    /**
+     * @function applyModifier()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *    Check to see if a modifier exists for this field.   If it doesn't quickly return.
+     *    If it does exists then apply the modifier to the field and return the modified value.
+     *    This is mostly useful for datetime fields and for binning numeric fields.
+     *           
+     * @param val         The field value to modify
+     * @param group       The group object for this level of the tree.
+     * 
+     * @return The modified value.
+     */
+    applyModifier(val, group) {
+      if (typeof group.modifier == 'undefined') {
+          return val;
+      } else {
+          switch(true){
+              case /^date_trunc/.test(group.modifier):
+                  val = this.truncDate(val, group.modifierParams[0], this.groupByOption('timezone', group));
+                  break;
+              case /^(bucket|histogram|ranges)$/.test(group.modifier):
+                  val = this.binValue(val, group);
+                  break;
+              default: 
+          }
+          return val;  
+      }
+    }
+
+    /**
+     * @function truncDate()
+     *    Truncates a date to the time bucket it falls in.  The buckets are formatted so they sort in time order:
+     *      minute:       2018-01-01T13:05        week:         2018-W01 (ISO week)
+     *      hour:         2018-01-01T13           month:        2018-01
+     *      day:          2018-01-01              quarter:      2018-Q1
+     *      year:         2018
+     *    And the cyclical buckets:
+     *      dayofweek:    1-Mon ... 7-Sun         monthofyear:  01-Jan ... 12-Dec
+     *           
+     * @param val         The date (anything new Date() accepts)
+     * @param truncType   The time bucket (i.e. month)
+     * @param timezone    'UTC', 'local' or an IANA timezone name.  Note:  A date without a time (2018-01-01)
+     *                    is a calendar day and is not shifted into the timezone.
+     * 
+     * @return The time bucket, or the value itself if it is not a valid date or the truncType is unknown.
+     */
+    truncDate(val, truncType, timezone) {
+      var parts = this.dateParts(val, timezone);
+      if (parts == null) {
+          return val;
+      }
+      var pad = function(num) { return String(num).padStart(2, '0'); };
+      var day = parts.year + "-" + pad(parts.month) + "-" + pad(parts.day);
+
+      switch(true) {
+          case /^minute/.test(truncType):
+              return day + "T" + pad(parts.hour) + ":" + pad(parts.minute);
+          case /^hour/.test(truncType):
+              return day + "T" + pad(parts.hour);
+          case /^dayofweek/.test(truncType):
+              return parts.weekday + "-" + WEEKDAYS[parts.weekday - 1];
+          case /^day/.test(truncType):
+              return day;
+          case /^week/.test(truncType):
+              // The ISO week belongs to the year its Thursday falls in
+              var thursday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + 4 - parts.weekday));
+              var week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+              return thursday.getUTCFullYear() + "-W" + pad(week);
+          case /^monthofyear/.test(truncType):
+              return pad(parts.month) + "-" + MONTHS[parts.month - 1];
+          case /^month/.test(truncType):
+              return parts.year + "-" + pad(parts.month);
+          case /^quarter/.test(truncType):
+              return parts.year + "-Q" + Math.ceil(parts.month / 3);
+          case /^year/.test(truncType):
+              return "" + parts.year;
+          default:
+              return val;
+      }
+    }
+
+    /**
+     * @function dateParts()
+     *    Splits a date up into its calendar parts in the given timezone.
+     *           
+     * @param val         The date (anything new Date() accepts)
+     * @param timezone    'UTC', 'local' or an IANA timezone name
+     * 
+     * @return {year, month (1-12), day, hour, minute, weekday (1 = Monday ... 7 = Sunday)} or null for an invalid date
+     */
+    dateParts(val, timezone) {
+      var parts;
+      var calendarDay = /^(\d{4})-(\d{2})-(\d{2})$/.exec(val);
+      var date = new Date(val);
+
+      switch(true) {
+          case calendarDay != null:
+              parts = {year: parseInt(calendarDay[1]), month: parseInt(calendarDay[2]), day: parseInt(calendarDay[3]), hour: 0, minute: 0};
+              break;
+          case isNaN(date.getTime()):
+              return null;
+          case typeof timezone == 'undefined' || /^utc$/i.test(timezone):
+              parts = {year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: date.getUTCHours(), minute: date.getUTCMinutes()};
+              break;
+          case /^local$/i.test(timezone):
+              parts = {year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes()};
+              break;
+          default:
+              if (typeof dateFormatters[timezone] == 'undefined') {
+                  dateFormatters[timezone] = new Intl.DateTimeFormat('en-US', {timeZone: timezone, hour12: false, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'});
+              }
+              parts = {};
+              dateFormatters[timezone].formatToParts(date).forEach(function(part) {
+                  if (part.type != 'literal') {
+                      parts[part.type] = parseInt(part.value);
+                  }
+              });
+              parts.hour = parts.hour % 24;
+      }
+      parts.weekday = (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7 + 1;
+      return parts;
+    }
+
+    /**
+     * @function fillTimeBuckets()
+     *    Lists every time bucket from the first to the last of the given buckets, so that buckets without any
+     *    records can be added to a time series.  The cyclical buckets (dayofweek, monthofyear) are always complete.
+     *           
+     * @param names       The time buckets that have records (as returned by truncDate())
+     * @param truncType   The time bucket (i.e. month)
+     * 
+     * @return An array with all the time buckets in the range
+     */
+    fillTimeBuckets(names, truncType) {
+      var buckets = [];
+      var date;
+      var step;
+
+      switch(true) {
+          case /^dayofweek/.test(truncType):
+              return WEEKDAYS.map(function(weekday, i) { return (i + 1) + "-" + weekday; });
+          case /^monthofyear/.test(truncType):
+              return MONTHS.map(function(month, i) { return String(i + 1).padStart(2, '0') + "-" + month; });
+          case /^minute/.test(truncType):
+              date = function(name) { return new Date(name + ":00Z"); };
+              step = function(d) { d.setUTCMinutes(d.getUTCMinutes() + 1); };
+              break;
+          case /^hour/.test(truncType):
+              date = function(name) { return new Date(name + ":00:00Z"); };
+              step = function(d) { d.setUTCHours(d.getUTCHours() + 1); };
+              break;
+          case /^day/.test(truncType):
+              date = function(name) { return new Date(name + "T00:00:00Z"); };
+              step = function(d) { d.setUTCDate(d.getUTCDate() + 1); };
+              break;
+          case /^week/.test(truncType):
+              date = function(name) {
+                  // Monday of the ISO week -- week 1 is the week with January 4th in it
+                  var match = /^(\d{4})-W(\d{2})$/.exec(name);
+                  if (match == null) {
+                      return null;
+                  }
+                  var jan4 = new Date(Date.UTC(parseInt(match[1]), 0, 4));
+                  return new Date(Date.UTC(parseInt(match[1]), 0, 4 - (jan4.getUTCDay() + 6) % 7 + (parseInt(match[2]) - 1) * 7));
+              };
+              step = function(d) { d.setUTCDate(d.getUTCDate() + 7); };
+              break;
+          case /^month/.test(truncType):
+              date = function(name) { return new Date(name + "-01T00:00:00Z"); };
+              step = function(d) { d.setUTCMonth(d.getUTCMonth() + 1); };
+              break;
+          case /^quarter/.test(truncType):
+              date = function(name) { return new Date(Date.UTC(parseInt(name), (parseInt(name.slice(-1)) - 1) * 3, 1)); };
+              step = function(d) { d.setUTCMonth(d.getUTCMonth() + 3); };
+              break;
+          case /^year/.test(truncType):
+              date = function(name) { return new Date(Date.UTC(parseInt(name), 0, 1)); };
+              step = function(d) { d.setUTCFullYear(d.getUTCFullYear() + 1); };
+              break;
+          default:
+              return names;
+      }
+
+      // Only the names that are actual time buckets count towards the range (not blanks, invalid dates etc)
+      var me = this;
+      var valid = names.filter(function(name) {
+          if (typeof name != 'string') {
+              return false;
+          }
+          var d = date(name);
+          return d != null && ! isNaN(d.getTime()) && me.truncDate(d.toISOString(), truncType, 'UTC') == name;
+      }).sort();
+      if (valid.length == 0) {
+          return names;
+      }
+
+      var last = valid[valid.length - 1];
+      for (var d = date(valid[0]); ; step(d)) {
+          var name = me.truncDate(d.toISOString(), truncType, 'UTC');
+          if (name > last) {
+              break;
+          }
+          buckets.push(name);
+      }
+      return buckets;
+    }
+    
+    /**
+     * @function parseAggStr()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *    Parses the datasets.data string to pull out the field that needs to be aggregated on.
+     *    Example:  sum(revenue)  will return the string "revenue"
+     *              percentile(revenue,90)  will return the string "revenue"
+     *              sum(revenue) / count()  will return the string "revenue" (the field of the first aggregate)
+     *              sum(revenue * 0.9)  will return the string "revenue * 0.9"
+     *           
+     * @param str        The aggregate field in the form of agg(field) -- see parseExpression()
+     * 
+     * @return The field to be aggregated on ("" for count())
+     */
+    parseAggStr(str) {
+        let aggregates = this.compileDataset(str).aggregates;
+        return aggregates.length > 0 ? aggregates[0].field : "";
+    }
+
+    /**
+     * @function parseAggParams()
+     *    Parses the datasets.data string to pull out the extra parameters that follow the field.
+     *    Example:  percentile(revenue,90)  will return the array ["90"]
+     *           
+     * @param str        The aggregate field in the form of agg(field,param,...) 
+     * 
+     * @return An array with the extra parameters (empty when there are none)
+     */
+    parseAggParams(str) {
+        let aggregates = this.compileDataset(str).aggregates;
+        return aggregates.length > 0 ? aggregates[0].params : [];
+    }
+
+    /**
+     * @function parseExpression()
+     *    Parses a datasets.data string or a computed group field into an expression tree.  Nothing is ever eval'ed.
+     *      Values:       revenue, "field with spaces", 'a string', 12.5, null
+     *      Math:         + - * / % and parentheses.  Values are parsed as numbers with the numberFormat setting and
+     *                    a missing value (or dividing by 0) makes the whole result null.
+     *      Functions:    upper, lower, trim, length, substr, concat, coalesce, abs, floor, ceil and round
+     *      Aggregates:   any registered aggregate -- sum(revenue), percentile(age,90), count()
+     *      Conditions:   =, !=, <, <=, >, >=, [not] in (...), [not] between .. and .., is [not] null, and, or, not
+     *      Filter:       <expression> where <condition>
+     *    Example:  sum(revenue) / count()
+     *              sum(revenue * 0.9)
+     *              avg(age) where gender = 'Male'
+     *              concat(division,'-',gender)
+     *           
+     * @param str        The expression
+     * 
+     * @return The root node of the expression tree.  Throws an Error pointing at the bad token when the
+     *         expression can not be parsed.
+     */
+    parseExpression(str) {
+        let me = this;
+        let tokens = me.tokenizeExpression(str);
+        let index = 0;
+
+        let peek = function() { return tokens[index]; };
+        let next = function() { return tokens[index++]; };
+        // A function name is kept as written when there is such an aggregate or function (i.e. a registered
+        // weightedAvg), else the built in ones can be written in any case (SUM(revenue))
+        let known = function(name) {
+            return typeof me.getAggregate(name) != 'undefined' || Object.prototype.hasOwnProperty.call(expressionFunctions, name);
+        };
+        let callName = function(name) {
+            return (! known(name) && known(name.toLowerCase())) ? name.toLowerCase() : name;
+        };
+        let isOp = function(value) { return tokens[index].type == 'op' && tokens[index].value == value; };
+        let isKeyword = function(word) {
+            return tokens[index].type == 'name' && ! tokens[index].quoted && tokens[index].value.toLowerCase() == word;
+        };
+        let fail = function(message) {
+            let token = tokens[index];
+            let found = (token.type == 'end') ? "end of the expression" : "'" + token.text + "'";
+            throw me.expressionError((message ? message + " but found " : "Unexpected ") + found, str, token.pos);
+        };
+        let expect = function(value) {
+            if (! isOp(value)) {
+                fail("Expected '" + value + "'");
+            }
+            return next();
+        };
+        let node = function(props, start) {
+            props.start = start;
+            props.end = tokens[index - 1].end;
+            return props;
+        };
+
+        let or = function() {
+            let start = peek().pos;
+            let left = and();
+            while (isKeyword('or')) {
+                next();
+                left = node({type: 'or', left: left, right: and()}, start);
+            }
+            return left;
+        };
+        let and = function() {
+            let start = peek().pos;
+            let left = not();
+            while (isKeyword('and')) {
+                next();
+                left = node({type: 'and', left: left, right: not()}, start);
+            }
+            return left;
+        };
+        let not = function() {
+            let start = peek().pos;
+            if (isKeyword('not')) {
+                next();
+                return node({type: 'not', arg: not()}, start);
+            }
+            return comparison();
+        };
+        let comparison = function() {
+            let start = peek().pos;
+            let left = additive();
+            let negate = false;
+            switch(true) {
+                case peek().type == 'op' && /^(=|==|!=|<>|<|<=|>|>=)$/.test(peek().value):
+                    let op = next().value;
+                    return node({type: 'compare', op: op, left: left, right: additive()}, start);
+                case isKeyword('is'):
+                    next();
+                    if (isKeyword('not')) {
+                        next();
+                        negate = true;
+                    }
+                    if (! isKeyword('null')) {
+                        fail("Expected 'null'");
+                    }
+                    next();
+                    return node({type: 'isnull', arg: left, negate: negate}, start);
+                case isKeyword('not'):
+                    next();
+                    negate = true;
+                    if (! isKeyword('in') && ! isKeyword('between')) {
+                        fail("Expected 'in' or 'between'");
+                    }
+                    // falls through
+                case isKeyword('in') || isKeyword('between'):
+                    if (isKeyword('between')) {
+                        next();
+                        let low = additive();
+                        if (! isKeyword('and')) {
+                            fail("Expected 'and'");
+                        }
+                        next();
+                        return node({type: 'between', arg: left, low: low, high: additive(), negate: negate}, start);
+                    }
+                    next();
+                    expect('(');
+                    let list = [or()];
+                    while (isOp(',')) {
+                        next();
+                        list.push(or());
+                    }
+                    expect(')');
+                    return node({type: 'in', arg: left, list: list, negate: negate}, start);
+                default:
+                    return left;
+            }
+        };
+        let additive = function() {
+            let start = peek().pos;
+            let left = multiplicative();
+            while (isOp('+') || isOp('-')) {
+                let op = next().value;
+                left = node({type: 'math', op: op, left: left, right: multiplicative()}, start);
+            }
+            return left;
+        };
+        let multiplicative = function() {
+            let start = peek().pos;
+            let left = unary();
+            while (isOp('*') || isOp('/') || isOp('%')) {
+                let op = next().value;
+                left = node({type: 'math', op: op, left: left, right: unary()}, start);
+            }
+            return left;
+        };
+        let unary = function() {
+            let start = peek().pos;
+            if (isOp('-') || isOp('+')) {
+                let op = next().value;
+                let arg = unary();
+                return (op == '-') ? node({type: 'negate', arg: arg}, start) : arg;
+            }
+            return primary();
+        };
+        let primary = function() {
+            let start = peek().pos;
+            let token = peek();
+            switch(true) {
+                case token.type == 'number' || token.type == 'string':
+                    next();
+                    return node({type: 'literal', value: token.value}, start);
+                case isKeyword('null'):
+                    next();
+                    return node({type: 'literal', value: null}, start);
+                case token.type == 'name' && ! token.quoted && tokens[index + 1].type == 'op' && tokens[index + 1].value == '(':
+                    next();
+                    next();
+                    let args = [];
+                    if (isOp('*') && tokens[index + 1].type == 'op' && tokens[index + 1].value == ')') {
+                        // count(*) is the same as count()
+                        next();
+                    } else if (! isOp(')')) {
+                        args.push(or());
+                        while (isOp(',')) {
+                            next();
+                            args.push(or());
+                        }
+                    }
+                    if (peek().type == 'name') {
+                        fail("Expected ')' (quote a field name with spaces in it, i.e. \"unit price\")");
+                    }
+                    expect(')');
+                    return node({type: 'call', name: callName(token.value), args: args}, start);
+                case token.type == 'name':
+                    next();
+                    return node({type: 'field', name: token.value}, start);
+                case isOp('('):
+                    next();
+                    let inner = or();
+                    expect(')');
+                    return inner;
+                default:
+                    return fail();
+            }
+        };
+
+        let start = peek().pos;
+        let root = or();
+        if (isKeyword('where')) {
+            next();
+            root = node({type: 'filter', arg: root, condition: or()}, start);
+        }
+        if (peek().type != 'end') {
+            fail();
+        }
+        return root;
+    }
+
+    /**
+     * @function tokenizeExpression()
+     *    Splits an expression up into its tokens -- see parseExpression().
+     *           
+     * @param str        The expression
+     * 
+     * @return An array of {type, value, text, pos, end} tokens, type is "number", "string", "name", "op" and a
+     *         final "end" token
+     */
+    tokenizeExpression(str) {
+        let pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|('(?:[^']|'')*')|("(?:[^"]|"")*"|`[^`]*`)|([A-Za-z_$][\w$.]*)|(<=|>=|!=|<>|==|[-+*\/%=<>(),]))/y;
+        let tokens = [];
+        let match;
+        let pos = 0;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(str)) != null) {
+            pos = pattern.lastIndex;
+            let text = match[0].trim();
+            let token = {text: text, pos: pattern.lastIndex - text.length, end: pattern.lastIndex};
+            switch(true) {
+                case typeof match[1] != 'undefined':
+                    token.type = 'number';
+                    token.value = parseFloat(text);
+                    break;
+                case typeof match[2] != 'undefined':
+                    token.type = 'string';
+                    token.value = text.slice(1, -1).replace(/''/g, "'");
+                    break;
+                case typeof match[3] != 'undefined':
+                    // A quoted field name:  "unit price" or `unit price`
+                    token.type = 'name';
+                    token.quoted = true;
+                    token.value = text.slice(1, -1).replace(/""/g, '"');
+                    break;
+                case typeof match[4] != 'undefined':
+                    token.type = 'name';
+                    token.value = text;
+                    break;
+                default:
+                    token.type = 'op';
+                    token.value = text;
+            }
+            tokens.push(token);
+        }
+
+        // Note:  A failed exec() resets lastIndex, so the end of the last token is kept in pos
+        while (pos < str.length && /\s/.test(str[pos])) {
+            pos++;
+        }
+        if (pos < str.length) {
+            let message = /['"`]/.test(str[pos]) ? "Unterminated " + (str[pos] == "'" ? "string" : "field name") : "Unexpected character '" + str[pos] + "'";
+            throw this.expressionError(message, str, pos);
+        }
+        tokens.push({type: 'end', text: "", pos: str.length, end: str.length});
+        return tokens;
+    }
+
+    /**
+     * @function expressionError()
+     *    Creates the Error for an expression that can not be parsed, pointing at the bad token:
+     *      Expected ')' but found ',' at position 12 in "sum(revenue,,)"
+     *        sum(revenue,,)
+     *                    ^
+     *           
+     * @param message    What is wrong
+     * @param str        The expression
+     * @param pos        Where in the expression (0 based)
+     * 
+     * @return An Error with the expression and position properties filled in
+     */
+    expressionError(message, str, pos) {
+        let error = new Error(message + " at position " + (pos + 1) + " in " + JSON.stringify(str) + "\n  " + str + "\n  " + " ".repeat(pos) + "^");
+        error.expression = str;
+        error.position = pos;
+        return error;
+    }
+
+    /**
+     * @function compileDataset()
+     *    Parses a datasets.data string (once -- the result is cached) and pulls out its aggregates.
+     *    Example:  sum(revenue) / count() where gender = 'Male'  is compiled to
+     *              {aggregates: [{name: "sum", field: "revenue", ...}, {name: "count", field: "", ...}],
+     *               expression: <aggregate 0> / <aggregate 1>, where: gender = 'Male'}
+     *           
+     * @param str        The datasets.data string
+     * 
+     * @return {aggregates, expression, where} -- each aggregate is {name, field, expression, params}, where
+     *         'expression' is null when the aggregate is over a plain field.  A function that is neither an
+     *         aggregate nor one of the expressionFunctions is taken as an (unknown) aggregate.  Throws an Error
+     *         for an aggregate whose argument does not use a field, i.e. sum(2019), or that is missing a
+     *         parameter, i.e. percentile(revenue).
+     */
+    compileDataset(str) {
+        let key = "data:" + str;
+        if (compiledExpressions.has(key)) {
+            return compiledExpressions.get(key);
+        }
+        let me = this;
+        let root = me.parseExpression(str);
+        let where = null;
+        if (root.type == 'filter') {
+            where = me.resolveExpression(root.condition, str, "the where clause");
+            root = root.arg;
+        }
+
+        let aggregates = [];
+        let resolve = function(node) {
+            switch(true) {
+                case node.type == 'field':
+                    throw me.expressionError("The field '" + node.name + "' has to be inside an aggregate, i.e. sum(" + node.name + ")", str, node.start);
+                case node.type == 'call' && (typeof me.getAggregate(node.name) != 'undefined' || ! Object.prototype.hasOwnProperty.call(expressionFunctions, node.name)):
+                    let args = node.args.map(function(arg) { return me.resolveExpression(arg, str, node.name + "()"); });
+                    if (args.length > 0 && me.expressionFields(args[0]).length == 0) {
+                        let name = (args[0].type == 'literal' && args[0].value != null) ? String(args[0].value) : str.slice(args[0].start, args[0].end);
+                        throw me.expressionError("The argument of " + node.name + "() does not use a field -- quote a field name that is not a plain name, i.e. " +
+                                                 node.name + "(\"" + name + "\")", str, args[0].start);
+                    }
+                    let needs = customAggregates.has(node.name) ? undefined : aggregateParams[node.name];
+                    if (typeof needs != 'undefined' && args.length < needs.count + 1) {
+                        throw me.expressionError(node.name + "() takes " + (needs.count + 1) + " parameters -- " + needs.example, str, node.start);
+                    }
+                    let field = (args.length == 0) ? "" : (args[0].type == 'field') ? args[0].name : str.slice(args[0].start, args[0].end);
+                    aggregates.push({
+                        name: node.name,
+                        field: field,
+                        expression: (args.length == 0 || args[0].type == 'field') ? null : args[0],
+                        params: args.slice(1).map(function(arg) {
+                            return (arg.type == 'literal') ? String(arg.value) : (arg.type == 'field') ? arg.name : str.slice(arg.start, arg.end);
+                        })
+                    });
+                    return {type: 'aggregate', index: aggregates.length - 1, start: node.start, end: node.end};
+                default:
+                    return me.mapExpression(node, resolve);
+            }
+        };
+        let compiled = {aggregates: aggregates, expression: resolve(root), where: where};
+        compiledExpressions.set(key, compiled);
+        return compiled;
+    }
+
+    /**
+     * @function compileField()
+     *    Parses (once -- the result is cached) a computed group field such as upper(company) or
+     *    coalesce(eyeColor,'unknown').  Aggregates can not be used in a group field.
+     *           
+     * @param str        The group field
+     * 
+     * @return The root node of the expression tree -- see evaluateExpression()
+     */
+    compileField(str) {
+        let key = "field:" + str;
+        if (! compiledExpressions.has(key)) {
+            let root = this.parseExpression(str);
+            if (root.type == 'filter') {
+                throw this.expressionError("A where clause can not be used in a group field", str, root.condition.start);
+            }
+            compiledExpressions.set(key, this.resolveExpression(root, str, "a group field"));
+        }
+        return compiledExpressions.get(key);
+    }
+
+    /**
+     * @function resolveExpression()
+     *    Checks that an expression that is evaluated per row (i.e. the field of an aggregate) only uses
+     *    the expressionFunctions.
+     *           
+     * @param node       The root node of the expression
+     * @param str        The expression (for the error message)
+     * @param context    Where the expression is used (for the error message), i.e. "sum()"
+     * 
+     * @return The node.  Throws an Error for an unknown function or an aggregate.
+     */
+    resolveExpression(node, str, context) {
+        let me = this;
+        if (node.type == 'call' && ! Object.prototype.hasOwnProperty.call(expressionFunctions, node.name)) {
+            let message = (typeof me.getAggregate(node.name) != 'undefined') ? "The aggregate " + node.name + "() can not be used inside " + context : "Unknown function '" + node.name + "'";
+            throw me.expressionError(message, str, node.start);
+        }
+        return me.mapExpression(node, function(child) { return me.resolveExpression(child, str, context); });
+    }
+
+    /**
+     * @function mapExpression()
+     *    Copies an expression node with fn() applied to each of its child nodes.
+     *           
+     * @param node       The expression node
+     * @param fn         function(child) that returns the new child node
+     * 
+     * @return The new node
+     */
+    mapExpression(node, fn) {
+        let copy = Object.assign({}, node);
+        ['left', 'right', 'arg', 'low', 'high'].forEach(function(key) {
+            if (typeof node[key] != 'undefined') {
+                copy[key] = fn(node[key]);
+            }
+        });
+        ['args', 'list'].forEach(function(key) {
+            if (typeof node[key] != 'undefined') {
+                copy[key] = node[key].map(function(child) { return fn(child); });
+            }
+        });
+        return copy;
+    }
+
+    /**
+     * @function evaluateExpression()
+     *    Works out the value of an expression for a row.  Math on a value that is not a number (and dividing by 0)
+     *    comes out as null.  Comparisons work like the 'where' conditions -- see compareValues().
+     *           
+     * @param node       The root node of the expression -- see parseExpression()
+     * @param row        The record to evaluate the expression for
+     * @param context    (optional) {numberFormat, results} -- results holds the results of the aggregates of a
+     *                   compiled datasets.data string (see compileDataset())
+     * 
+     * @return The value
+     */
+    evaluateExpression(node, row, context = {}) {
+        let me = this;
+        let evaluate = function(child) { return me.evaluateExpression(child, row, context); };
+        let num = function(val) { return me.parseNumber(val, context.numberFormat); };
+
+        switch(node.type) {
+            case "literal":
+                return node.value;
+            case "field":
+                return row[node.name];
+            case "aggregate":
+                return context.results[node.index];
+            case "call":
+                return expressionFunctions[node.name](node.args.map(evaluate), me, num);
+            case "negate":
+                let val = num(evaluate(node.arg));
+                return (val == null) ? null : -val;
+            case "math":
+                let a = num(evaluate(node.left));
+                let b = num(evaluate(node.right));
+                if (a == null || b == null || (b == 0 && /^[\/%]$/.test(node.op))) {
+                    return null;
+                }
+                switch(node.op) {
+                    case "+": return a + b;
+                    case "-": return a - b;
+                    case "*": return a * b;
+                    case "/": return a / b;
+                    default:  return a % b;
+                }
+            case "compare":
+                let compare = me.compareValues(evaluate(node.left), evaluate(node.right));
+                switch(node.op) {
+                    case "=":
+                    case "==": return compare === 0;
+                    case "!=":
+                    case "<>": return compare !== 0;
+                    case "<":  return compare < 0;
+                    case "<=": return compare <= 0;
+                    case ">":  return compare > 0;
+                    default:   return compare >= 0;
+                }
+            case "isnull":
+                return me.isBlank(evaluate(node.arg)) != node.negate;
+            case "in":
+                let item = evaluate(node.arg);
+                return node.list.some(function(child) { return me.compareValues(item, evaluate(child)) === 0; }) != node.negate;
+            case "between":
+                let test = evaluate(node.arg);
+                return (me.compareValues(test, evaluate(node.low)) >= 0 && me.compareValues(test, evaluate(node.high)) <= 0) != node.negate;
+            case "and":
+                return evaluate(node.left) === true && evaluate(node.right) === true;
+            case "or":
+                return evaluate(node.left) === true || evaluate(node.right) === true;
+            case "not":
+                return evaluate(node.arg) !== true;
+            default:
+                throw new Error("Unknown expression node " + node.type);
+        }
+    }
+
+    /**
+     * @function splitArguments()
+     *    Splits the arguments of a modifier on the commas that are not inside parentheses or quotes.
+     *    Example:  "month,coalesce(enddate,startdate)"  ->  ["month", "coalesce(enddate,startdate)"]
+     *           
+     * @param str        The arguments
+     * 
+     * @return An array with the (trimmed) arguments
+     */
+    splitArguments(str) {
+        let args = [];
+        let depth = 0, quote = null, start = 0;
+        for (let i = 0; i < str.length; i++) {
+            let c = str[i];
+            switch(true) {
+                case quote != null:
+                    quote = (c == quote) ? null : quote;
+                    break;
+                case c == "'" || c == '"' || c == '`':
+                    quote = c;
+                    break;
+                case c == '(':
+                    depth++;
+                    break;
+                case c == ')':
+                    depth--;
+                    break;
+                case c == ',' && depth == 0:
+                    args.push(str.slice(start, i).trim());
+                    start = i + 1;
+                    break;
+                default:
+            }
+        }
+        args.push(str.slice(start).trim());
+        return args;
+    }
+
+    /**
+     * @function registerAggregate()
+     *    Adds an aggregate that can then be used in any datasets.data string, or replaces a built in one.
+     *    It is a static method since the registry is global -- it is shared by every class the mixin is applied to
+     *    and every element of those classes, so register aggregates once (i.e. when the module loads) and give
+     *    them names that will not clash with the aggregates of other components.
+     *    Example:  MyElement.registerAggregate('weighted_avg', function(values, params, rows) {...})  makes
+     *              "weighted_avg(price,qty)" available, with values holding the prices and params ["qty"].
+     *           
+     * @param name       The name used in the datasets.data string -- it has to be written in the same case there
+     * @param fn         Either a function(values, params, rows) that returns the aggregate for a node -- it is called
+     *                   with 'this' set to the mixin object, values are the parsed values of the field (missing and
+     *                   non-numeric values handled by the 'nulls' setting), rows are the rows those values came from
+     *                   and params are the extra parameters from the data string.  It is not called for a node
+     *                   without any values, the aggregate is null then --
+     *                   or an object with a create(field, params, me, value, raw) function that returns an
+     *                   accumulator (an object with add(row) and result() functions) for aggregates that can be
+     *                   streamed.  value(row) returns the parsed value of the field for a row, or null if it should
+     *                   be skipped, and raw(row) the value as is.
+     * 
+     * @return nothing
+     */
+    static registerAggregate(name, fn) {
+        aggregateRegistry[name] = fn;
+        customAggregates.add(name);
+        // A name that used to be parsed as something else may now be an aggregate
+        compiledExpressions.clear();
+    }
+
+    /**
+     * @function getAggregate()
+     *    Looks up an aggregate in the registry.
+     *           
+     * @param name       The name of the aggregate (i.e. sum)
+     * 
+     * @return The registered aggregate or undefined when there is no such aggregate
+     */
+    getAggregate(name) {
+        return Object.prototype.hasOwnProperty.call(aggregateRegistry, name) ? aggregateRegistry[name] : undefined;
+    }
+    
+  
+    /**
+     * @function parseGroupByField()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *    Parses the group by field to see if there are any modifiers.  If a modifier is found
+     *    then the group.modifier field and modifierParams are filled in. 
+     *    Example:  date_trunc(month,startdate)  will return the string "startdate"
+     *    Any other function makes it a computed field (i.e. upper(company)) and group.expression is filled in
+     *    -- see parseExpression().  The field of a modifier can be computed too:  date_trunc(month,coalesce(enddate,startdate))
+     *           
+     * @param group        The group object for this level of the tree.
+     * @param str          The group by 'field' we want to check for modifiers
+     * 
+     * @return   Returns the modifield group object.  Throws an Error for a modifier with bad parameters.
+     */
+    parseGroupByField(group, str) {
+        let name = str.match(/^\s*(\w+)\s*\(/);
+        if (typeof name == 'undefined' || name == null) {
+            return group;
+        }
+        if (! /^(date_trunc|bucket|histogram|ranges)$/.test(name[1])) {
+            group.expression = this.compileField(str);
+            return group;
+        }
+        let match = str.match(/^\s*(\w+)\s*\((.*)\)\s*$/);
+        if (match == null) {
+            throw this.expressionError("Expected ')' at the end of " + name[1] + "()", str, str.length);
+        }
+        let params = this.splitArguments(match[2]);
+
+        switch(true){
+            case /^date_trunc$/.test(match[1]):
+                group.modifier = "date_trunc";
+                group.modifierParams = params;
+                group.field = group.modifierParams[1];
+                break;
+            case /^(bucket|histogram|ranges)$/.test(match[1]):
+                // The field is always the last parameter:  bucket(10,age)  ranges(0-18,18-65,65+,age)
+                group.modifier = match[1];
+                group.modifierParams = params;
+                group.field = params[params.length - 1];
+                if (group.modifier == "ranges") {
+                    group.ranges = this.parseRanges(params.slice(0, params.length - 1));
+                }
+                break;
+            default: 
+        }  
+        switch(true) {
+            case group.modifier == "date_trunc" && params.length != 2:
+                throw new Error("date_trunc() takes 2 parameters -- date_trunc(month,startdate)");
+            case group.modifier == "date_trunc" && ! /^(minute|hour|day|week|month|quarter|year|dayofweek|monthofyear)$/.test(params[0]):
+                throw new Error("Unknown date_trunc() bucket '" + params[0] + "' -- use minute, hour, day, week, month, quarter, year, dayofweek or monthofyear");
+            case group.modifier == "bucket" && ! (parseFloat(params[0]) > 0):
+                throw new Error("The width of bucket() has to be a number above 0, not '" + params[0] + "'");
+            case group.modifier == "histogram" && ! /^[1-9]\d*$/.test(params[0]):
+                throw new Error("The number of bins of histogram() has to be a whole number above 0, not '" + params[0] + "'");
+            default:
+        }
+        if (/^\s*\w+\s*\(/.test(group.field)) {
+            group.expression = this.compileField(group.field);
+        }
+        return group;
+    }
+
+    /**
+     * @function parseRanges()
+     *    Parses the labelled ranges of a ranges() modifier.  A range includes its lower bound and excludes its
+     *    upper bound.
+     *    Example:  ["0-18", "18-65", "65+"]  ->  [{label: "0-18", min: 0, max: 18}, ... {label: "65+", min: 65, max: Infinity}]
+     *           
+     * @param ranges       The range strings -- "min-max", "min+" (and up) or "<max" (below)
+     * 
+     * @return   Returns an array of {label, min, max} objects
+     */
+    parseRanges(ranges) {
+        return ranges.map(function(range) {
+            let match;
+            switch(true) {
+                case (match = /^(-?[\d.]+)\s*-\s*(-?[\d.]+)$/.exec(range)) != null:
+                    return {label: range, min: parseFloat(match[1]), max: parseFloat(match[2])};
+                case (match = /^(-?[\d.]+)\s*\+$/.exec(range)) != null:
+                    return {label: range, min: parseFloat(match[1]), max: Infinity};
+                case (match = /^<\s*(-?[\d.]+)$/.exec(range)) != null:
+                    return {label: range, min: -Infinity, max: parseFloat(match[1])};
+                default:
+                    throw new Error("Unknown range '" + range + "' in ranges()");
+            }
+        });
+    }
+
+    /**
+     * @function validateGroups()
+     *    Checks a groups object before it is used -- the shape of each level and dataset (see groupsSchema), the
+     *    datasets.data strings and group fields (see parseExpression()), the modifiers, the 'where' and 'having'
+     *    conditions and the sort setting.  With sampleData the fields are also looked up in the data, so a typo
+     *    in a field name is reported instead of grouping everything under one blank node.
+     *           
+     * @param groups       The groups object -- see groupBy()
+     * @param sampleData   (optional) Some rows of the data set, or just the first row
+     * 
+     * @return {valid, errors, warnings} -- each error and warning is {level, dataset, path, message} where level and
+     *         dataset are the indexes of the offending group and dataset (null when it is not about a dataset) and
+     *         path is i.e. "groups[1].datasets[0].data".  valid is true when there are no errors.
+     */
+    validateGroups(groups, sampleData) {
+      let me = this;
+      let result = {valid: true, errors: [], warnings: []};
+      let report = function(list, path, message) {
+          let match = /^groups\[(\d+)\](?:\.datasets\[(\d+)\])?/.exec(path);
+          list.push({
+              level: (match != null) ? parseInt(match[1]) : null,
+              dataset: (match != null && typeof match[2] != 'undefined') ? parseInt(match[2]) : null,
+              path: path,
+              message: message
+          });
+      };
+      let error = function(path, message) { report(result.errors, path, message); };
+      let warning = function(path, message) { report(result.warnings, path, message); };
+
+      me.checkSchema(groups, groupsSchema, "groups", error, warning);
+      if (! Array.isArray(groups)) {
+          result.valid = false;
+          return result;
+      }
+
+      // The fields of the sample data, so typos can be caught
+      let fields = null;
+      let sampleRows = (Array.isArray(sampleData)) ? sampleData : (typeof sampleData == 'object' && sampleData != null) ? [sampleData] : [];
+      if (sampleRows.length > 0) {
+          fields = new Set();
+          sampleRows.forEach(function(row) { Object.keys(row || {}).forEach(function(key) { fields.add(key); }); });
+      }
+      let checkFields = function(names, path) {
+          if (fields != null) {
+              names.forEach(function(name) {
+                  if (! fields.has(name)) {
+                      warning(path, "The field '" + name + "' is not in the sample data");
+                  }
+              });
+          }
+      };
+
+      groups.forEach(function(group, level) {
+          let path = "groups[" + level + "]";
+          if (typeof group != 'object' || group == null) {
+              return;
+          }
+          ['totals', 'metrics', 'rowKey'].forEach(function(name) {
+              if (typeof group[name] != 'undefined') {
+                  warning(path + "." + name, "'" + name + "' is a setting for the whole tree -- set it in this.groupByOptions");
+              }
+          });
+
+          // The group field(s) and modifiers
+          let groupFields = Array.isArray(group.field) ? group.field : [group.field];
+          groupFields.forEach(function(field, index) {
+              let fieldPath = path + ".field" + (Array.isArray(group.field) ? "[" + index + "]" : "");
+              let parsed = null;
+              if (typeof field == 'string') {
+                  try {
+                      parsed = me.parseGroupByField(Object.assign({}, group, {field: field}), field);
+                  } catch (e) {
+                      error(fieldPath, e.message);
+                  }
+              }
+              if (parsed == null) {
+                  return;
+              }
+              checkFields((typeof parsed.expression != 'undefined') ? me.expressionFields(parsed.expression) : [parsed.field], fieldPath);
+          });
+          if (typeof group.timezone == 'string' && ! /^(utc|local)$/i.test(group.timezone)) {
+              try {
+                  new Intl.DateTimeFormat('en-US', {timeZone: group.timezone});
+              } catch (e) {
+                  error(path + ".timezone", "Unknown timezone '" + group.timezone + "'");
+              }
+          }
+
+          // The datasets
+          let datasets = Array.isArray(group.datasets) ? group.datasets : [];
+          datasets.forEach(function(dataset, index) {
+              let datasetPath = path + ".datasets[" + index + "].data";
+              if (typeof dataset != 'object' || dataset == null || typeof dataset.data != 'string') {
+                  return;
+              }
+              let compiled;
+              try {
+                  compiled = me.compileDataset(dataset.data);
+              } catch (e) {
+                  error(datasetPath, e.message);
+                  return;
+              }
+              compiled.aggregates.forEach(function(aggregate) {
+                  if (typeof me.getAggregate(aggregate.name) == 'undefined') {
+                      error(datasetPath, "Unknown aggregate '" + aggregate.name + "'");
+                      return;
+                  }
+                  let names = (aggregate.expression != null) ? me.expressionFields(aggregate.expression) : (aggregate.field == "" ? [] : [aggregate.field]);
+                  if (aggregate.expression != null && fields != null && fields.has(aggregate.field)) {
+                      // i.e. sum(unit-price) for a field called 'unit-price' -- it is read as unit minus price
+                      warning(datasetPath, "'" + aggregate.field + "' is read as an expression -- quote the field name:  " + aggregate.name + "(\"" + aggregate.field + "\")");
+                      return;
+                  }
+                  checkFields(names, datasetPath);
+              });
+              if (compiled.aggregates.length == 0) {
+                  warning(datasetPath, "'" + dataset.data + "' does not use any aggregate -- every node gets the same value");
+              }
+              if (compiled.where != null) {
+                  checkFields(me.expressionFields(compiled.where), datasetPath);
+              }
+          });
+
+          // The conditions
+          if (typeof group.where != 'undefined' && group.where != null) {
+              me.checkCondition(group.where, path + ".where", "field", error, function(condition, conditionPath) {
+                  checkFields([condition.field], conditionPath);
+              });
+          }
+          if (typeof group.having != 'undefined' && group.having != null) {
+              me.checkCondition(group.having, path + ".having", "dataset", error, function(condition, conditionPath) {
+                  if (! me.hasDataset(datasets, condition.dataset)) {
+                      error(conditionPath + ".dataset", "There is no dataset '" + condition.dataset + "' on this level");
+                  }
+              });
+          }
+
+          // Sorting on a dataset
+          let sort = group.sort;
+          if (typeof sort == 'string' && ! /^(string|numeric|date|natural)$/.test(sort)) {
+              error(path + ".sort", "Unknown sort '" + sort + "' -- use string, numeric, date or natural");
+          }
+          if (typeof sort == 'object' && sort != null && typeof sort.by != 'undefined' && sort.by != "key" && ! me.hasDataset(datasets, sort.by)) {
+              error(path + ".sort.by", "There is no dataset '" + sort.by + "' on this level");
+          }
+      });
+
+      result.valid = (result.errors.length == 0);
+      return result;
+    }
+
+    /**
+     * @function checkSchema()
+     *    Checks a value against a schema such as groupsSchema -- see validateGroups().
+     *           
+     * @param value        The value to check
+     * @param schema       {type, enum, required, properties, items, minimum}
+     * @param path         The path of the value (for the messages), i.e. "groups[0].datasets"
+     * @param error        function(path, message) called for each error
+     * @param warning      function(path, message) called for each warning
+     * 
+     * @return nothing
+     */
+    checkSchema(value, schema, path, error, warning) {
+      let me = this;
+      let typeOf = function(val) {
+          switch(true) {
+              case val === null:
+                  return "null";
+              case Array.isArray(val):
+                  return "array";
+              case typeof val == 'number' && Number.isInteger(val):
+                  return "integer";
+              default:
+                  return typeof val;
+          }
+      };
+      if (typeof schema.type != 'undefined') {
+          let types = [].concat(schema.type);
+          let type = typeOf(value);
+          if (types.indexOf(type) == -1 && ! (type == "integer" && types.indexOf("number") != -1)) {
+              error(path, "Expected " + types.join(" or ") + " but found " + (type == "integer" ? "number" : type) + (type == "undefined" ? "" : " " + JSON.stringify(value)));
+              return;
+          }
+      }
+      if (typeof schema.enum != 'undefined' && schema.enum.indexOf(value) == -1) {
+          error(path, "Expected one of " + schema.enum.map(function(val) { return JSON.stringify(val); }).join(", ") + " but found " + JSON.stringify(value));
+      }
+      if (typeof schema.minimum == 'number' && typeof value == 'number' && value < schema.minimum) {
+          error(path, "Expected a number of at least " + schema.minimum + " but found " + value);
+      }
+      if (typeof schema.items != 'undefined' && Array.isArray(value)) {
+          value.forEach(function(item, index) { me.checkSchema(item, schema.items, path + "[" + index + "]", error, warning); });
+      }
+      if (typeOf(value) == "object") {
+          (schema.required || []).forEach(function(name) {
+              if (typeof value[name] == 'undefined') {
+                  error(path + "." + name, "'" + name + "' is missing");
+              }
+          });
+          if (typeof schema.properties != 'undefined') {
+              Object.keys(value).forEach(function(name) {
+                  if (Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+                      me.checkSchema(value[name], schema.properties[name], path + "." + name, error, warning);
+                  } else if (! Object.prototype.hasOwnProperty.call(defaultGroupByOptions, name)) {
+                      warning(path + "." + name, "Unknown setting '" + name + "'");
+                  }
+              });
+          }
+      }
+    }
+
+    /**
+     * @function checkCondition()
+     *    Checks the shape of a 'where' or 'having' condition -- see matchesCondition().
+     *           
+     * @param condition    The condition
+     * @param path         The path of the condition (for the messages), i.e. "groups[0].where"
+     * @param key          "field" for a 'where' and "dataset" for a 'having'
+     * @param error        function(path, message) called for each error
+     * @param check        function(condition, path) called for each single comparison (to check the field or dataset)
+     * 
+     * @return nothing
+     */
+    checkCondition(condition, path, key, error, check) {
+      let me = this;
+      let each = function(list, listPath) {
+          if (! Array.isArray(list)) {
+              error(listPath, "Expected an array of conditions");
+              return;
+          }
+          list.forEach(function(c, index) { me.checkCondition(c, listPath + "[" + index + "]", key, error, check); });
+      };
+      switch(true) {
+          case Array.isArray(condition):
+              return each(condition, path);
+          case typeof condition != 'object' || condition == null:
+              return error(path, "Expected a condition object but found " + JSON.stringify(condition));
+          case typeof condition.and != 'undefined':
+              return each(condition.and, path + ".and");
+          case typeof condition.or != 'undefined':
+              return each(condition.or, path + ".or");
+          case typeof condition.not != 'undefined':
+              return me.checkCondition(condition.not, path + ".not", key, error, check);
+      }
+
+      let op = String(typeof condition.op == 'undefined' ? "=" : condition.op).trim().toLowerCase();
+      if (typeof condition[key] == 'undefined') {
+          error(path + "." + key, "'" + key + "' is missing");
+      } else {
+          check(condition, path);
+      }
+      switch(true) {
+          case conditionOperators.indexOf(op) == -1:
+              error(path + ".op", "Unknown operator '" + condition.op + "' -- use " + conditionOperators.join(", "));
+              break;
+          case /^(not )?in$/.test(op) && ! Array.isArray(condition.value):
+              error(path + ".value", "'" + op + "' needs an array of values");
+              break;
+          case op == "between" && ! (Array.isArray(condition.value) && condition.value.length == 2):
+              error(path + ".value", "'between' needs an array of 2 values");
+              break;
+          case ! /null$/.test(op) && typeof condition.value == 'undefined':
+              error(path + ".value", "'value' is missing");
+              break;
+          default:
+      }
+    }
+
+    /**
+     * @function hasDataset()
+     *    Checks that a dataset referenced by label, data string or index (i.e. in a 'having') exists.
+     *           
+     * @param datasets     The datasets of a level
+     * @param dataset      The label, the data string or the index of the dataset
+     * 
+     * @return true or false
+     */
+    hasDataset(datasets, dataset) {
+      if (typeof dataset == 'number') {
+          return dataset >= 0 && dataset < datasets.length;
+      }
+      return datasets.some(function(d) { return d != null && (d.label == dataset || d.data == dataset); });
+    }
+
+    /**
+     * @function expressionFields()
+     *    Lists the fields an expression reads.
+     *           
+     * @param node         The root node of the expression -- see parseExpression()
+     * 
+     * @return An array with the field names
+     */
+    expressionFields(node) {
+      let fields = [];
+      let walk = function(child) {
+          if (child.type == 'field' && fields.indexOf(child.name) == -1) {
+              fields.push(child.name);
+          }
+          this.mapExpression(child, walk);
+          return child;
+      }.bind(this);
+      walk(node);
+      return fields;
+    }
+
+    /**
+     * @function normalizeGroups()
+     *    Makes the copy of a groups object that the tree is built from, with the fields and modifiers parsed
+     *    (see parseGroupByField()) and the aggField and aggParams of each dataset filled in.  The caller's
+     *    objects are never changed, so the same groups object can be used again (i.e. with another data set).
+     *    A copy is only made once -- normalizing a normalized groups object returns it as is.
+     *           
+     * @param groups       The groups object
+     * 
+     * @return   Returns the normalized copy.  Throws an Error naming the level (and dataset) that can not be parsed.
+     */
+    normalizeGroups(groups) {
+        if (normalizedGroups.has(groups)) {
+            return groups;
+        }
+        var me = this;
+        var copy = groups.map(function(group, level) {
+            var path = "groups[" + level + "]";
+            if (typeof group != 'object' || group == null || (typeof group.field != 'string' && ! Array.isArray(group.field))) {
+                throw new Error(path + ".field is missing -- see validateGroups()");
+            }
+            group = Object.assign({}, group);
+            if (typeof group.limit != 'undefined' && group.limit != null && ! (Number.isInteger(group.limit) && group.limit >= 0)) {
+                throw new Error(path + ".limit:  'limit' has to be a whole number, not " + JSON.stringify(group.limit));
+            }
+            group.datasets = (Array.isArray(group.datasets) ? group.datasets : []).map(function(dataset, index) {
+                dataset = Object.assign({}, dataset);
+                try {
+                    dataset['aggField'] = me.parseAggStr(dataset.data);
+                    dataset['aggParams'] = me.parseAggParams(dataset.data);
+                    // A dataset without an accumulator would shift the values of the datasets after it in node.y
+                    me.compileDataset(dataset.data).aggregates.forEach(function(aggregate) {
+                        if (typeof me.getAggregate(aggregate.name) == 'undefined') {
+                            throw new Error("Unknown aggregate '" + aggregate.name + "'");
+                        }
+                    });
+                } catch (e) {
+                    e.message = path + ".datasets[" + index + "].data:  " + e.message;
+                    throw e;
+                }
+                return dataset;
+            });
+            // The shape of the conditions -- see checkCondition()
+            let fail = function(conditionPath, message) { throw new Error(conditionPath + ":  " + message); };
+            if (typeof group.where != 'undefined' && group.where != null) {
+                me.checkCondition(group.where, path + ".where", "field", fail, function() {});
+            }
+            if (typeof group.having != 'undefined' && group.having != null) {
+                me.checkCondition(group.having, path + ".having", "dataset", fail, function(condition, conditionPath) {
+                    if (! me.hasDataset(group.datasets, condition.dataset)) {
+                        fail(conditionPath + ".dataset", "There is no dataset '" + condition.dataset + "' on this level");
+                    }
+                });
+            }
+            if (Array.isArray(group.field)) {
+                // A list of fields -- each one is parsed as a level of its own that shares this level's settings
+                group.fields = group.field.map(function(field, index) {
+                    try {
+                        return me.parseGroupByField(Object.assign({}, group, {field: field, datasets: []}), field);
+                    } catch (e) {
+                        e.message = path + ".field[" + index + "]:  " + e.message;
+                        throw e;
+                    }
+                });
+                return group;
+            }
+            try {
+                return me.parseGroupByField(group, group.field);
+            } catch (e) {
+                e.message = path + ".field:  " + e.message;
+                throw e;
+            }
+        });
+        normalizedGroups.add(copy);
+        return copy;
+    }
+
+    /**
+     * @function prepareGroups()
+     *    Called once with the full data set before the tree is built, so modifiers that depend on all the
+     *    data (i.e. the equal-count bins of histogram() and the bucket() labels) come out the same for every node
+     *    of a level.
+     *           
+     * @param data         The full data set
+     * @param groups       The full groups object
+     * 
+     * @return   Returns the normalized copy of the groups object -- see normalizeGroups()
+     */
+    prepareGroups(data, groups) {
+        var me = this;
+        groups = me.normalizeGroups(groups);
+        [].concat.apply(groups, groups.map(function(group) { return group.fields || []; })).forEach(function(group) {
+            if (group.modifier == "histogram") {
+                var value = function(row) { return me.fieldValue(row, group); };
+                group.histogramEdges = me.histogramEdges(data, value, parseInt(group.modifierParams[0]), me.groupByOption('numberFormat', group));
+            }
+            if (group.modifier == "bucket" && Number.isInteger(parseFloat(group.modifierParams[0]))) {
+                group.wholeNumbers = me.wholeNumbers(data, group);
+            }
+        });
+        preparedGroups.add(groups);
+        return groups;
+    }
+
+    /**
+     * @function histogramEdges()
+     *    Splits the values of a field up into (up to) 'bins' bins that each hold about the same number of records.
+     *           
+     * @param data         The data set
+     * @param field        The numeric field to bin, or a function(row) that returns the value to bin
+     * @param bins         The number of bins wanted.  Less bins come back when many records share the same value.
+     * @param numberFormat (optional) See parseNumber()
+     * 
+     * @return   Returns the lower bound of each bin, followed by the largest value
+     */
+    histogramEdges(data, field, bins, numberFormat) {
+        var values = [];
+        var value = (typeof field == 'function') ? field : function(row) { return row[field]; };
+        for (var i=0; i<data.length; i++) {
+            var val = this.parseNumber(value(data[i]), numberFormat);
+            if (val != null) {
+                values.push(val);
+            }
+        }
+        if (values.length == 0) {
+            return [];
+        }
+        values = this.Array_Sort_Numbers(values);
+
+        var edges = [];
+        for (var j=0; j<bins; j++) {
+            var edge = values[Math.floor(j * values.length / bins)];
+            if (edges.length == 0 || edge > edges[edges.length - 1]) {
+                edges.push(edge);
+            }
+        }
+        edges.push(values[values.length - 1]);
+        return edges;
+    }
+
+    /**
+     * @function wholeNumbers()
+     *    Checks whether every numeric value of the field of a bucket() level is a whole number.
+     *           
+     * @param data         The rows
+     * @param group        The group object for the level
+     * 
+     * @return   true or false
+     */
+    wholeNumbers(data, group) {
+        var numberFormat = this.groupByOption('numberFormat', group);
+        for (var i=0; i<data.length; i++) {
+            var num = this.parseNumber(this.fieldValue(data[i], group), numberFormat);
+            if (num != null && ! Number.isInteger(num)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @function binValue()
+     *    Puts a numeric value into its bin for the bucket(), histogram() and ranges() modifiers.
+     *      bucket(10,age):          fixed width bins labelled "20-29" when every value of the field is a whole
+     *                               number, else "20-30" for 20 up to (not including) 30 -- as is "0.5-1" for a
+     *                               fractional width
+     *      histogram(8,revenue):    equal-count bins labelled "[lower, upper)" -- the last one "[lower, upper]"
+     *      ranges(0-18,18-65,65+,age):  labelled with the matching range
+     *           
+     * @param val          The value to bin
+     * @param group        The group object for this level of the tree.
+     * 
+     * @return   Returns the label of the bin, or the value itself when it is not a number or falls in no bin
+     */
+    binValue(val, group) {
+        var num = this.parseNumber(val, this.groupByOption('numberFormat', group));
+        if (num == null) {
+            return val;
+        }
+        // Avoid labels such as 0.30000000000000004
+        var round = function(x) { return parseFloat(x.toPrecision(12)); };
+
+        switch(group.modifier) {
+            case "bucket":
+                var width = parseFloat(group.modifierParams[0]);
+                var start = round(Math.floor(num / width) * width);
+                // A whole number bin can be labelled with its last value -- unless the data has 19.5 in "10-19"
+                if (Number.isInteger(width) && Number.isInteger(start) && group.wholeNumbers !== false) {
+                    return start + "-" + (start + width - 1);
+                }
+                return start + "-" + round(start + width);
+            case "histogram":
+                var edges = group.histogramEdges || [];
+                for (var i=edges.length - 2; i>=0; i--) {
+                    if (num >= edges[i] && num <= edges[edges.length - 1]) {
+                        return "[" + edges[i] + ", " + edges[i + 1] + ((i == edges.length - 2) ? "]" : ")");
+                    }
+                }
+                return val;
+            case "ranges":
+                for (var j=0; j<group.ranges.length; j++) {
+                    if (num >= group.ranges[j].min && num < group.ranges[j].max) {
+                        return group.ranges[j].label;
+                    }
+                }
+                return val;
+            default:
+                return val;
+        }
+    }
+
+    /**
+     * @function sortGroupNames()
+     *    Sorts the unique group values of a level based on the 'sort' setting of the group (see groupBy()).
+     *    Without a 'sort' setting values are sorted as strings so time series come out in ASC order, except
+     *    for the bins of bucket(), histogram() and ranges() which are sorted numerically.
+     *           
+     * @param names        The unique (modified) group values for this level
+     * @param group        The group object for this level of the tree.
+     * @param aggregates   (optional) A Map of name -> aggregated y array, needed to sort on a dataset
+     * 
+     * @return   Returns the sorted names
+     */
+    sortGroupNames(names, group, aggregates) {
+        var sort = this.groupByOption('sort', group);
+        if (typeof sort == 'undefined' || sort == null) {
+            sort = {};
+        } else if (typeof sort == 'string') {
+            sort = {by: "key", type: sort};
+        }
+        var compare;
+
+        switch(true) {
+            case Array.isArray(sort.values):
+                // The listed values come first in the listed order, the rest follow in the default order
+                var keyCompare = this.keyComparator(sort.type, group);
+                var position = function(name) {
+                    var index = sort.values.indexOf(name);
+                    return index == -1 ? sort.values.length : index;
+                };
+                compare = function(a, b) { return position(a) - position(b) || keyCompare(a, b); };
+                break;
+            case typeof sort.by != 'undefined' && sort.by != "key":
+                var me = this;
+                var value = function(name) {
+                    var y = (typeof aggregates != 'undefined') ? aggregates.get(name) : undefined;
+                    return me.parseNumber(me.datasetValue(y, sort.by, group));
+                };
+                // A node without an aggregate counts as the lowest value
+                compare = function(a, b) {
+                    var x = value(a), y = value(b);
+                    switch(true) {
+                        case x == null && y == null:
+                            return 0;
+                        case x == null:
+                            return -1;
+                        case y == null:
+                            return 1;
+                        default:
+                            return (x < y) ? -1 : (x > y) ? 1 : 0;
+                    }
+                };
+                break;
+            default:
+                compare = this.keyComparator(sort.type, group);
+        }
+
+        // The rows without a value always go last
+        var blankLabel = this.groupByOption('blankLabel', group);
+        var direction = /^desc/i.test(sort.order) ? -1 : 1;
+        return names.sort(function(a, b) { return ((a === blankLabel) - (b === blankLabel)) || direction * compare(a, b); });
+    }
+
+    /**
+     * @function datasetValue()
+     *    Picks the aggregate of one dataset out of a node's y array.  For a boxplot the median is used.
+     *           
+     * @param y            The aggregated y array of a node
+     * @param dataset      The label, the data string (i.e. "sum(revenue)") or the index of the dataset
+     * @param group        The group object for this level of the tree.
+     * 
+     * @return   Returns the aggregate, or undefined when there is no such dataset
+     */
+    datasetValue(y, dataset, group) {
+        var index = (typeof dataset == 'number') ? dataset : group.datasets.findIndex(function(d) {
+            return d.label == dataset || d.data == dataset;
+        });
+        var val = (Array.isArray(y)) ? y[index] : undefined;
+        if (val != null && typeof val == 'object' && typeof val.median != 'undefined') {
+            val = val.median;
+        }
+        return val;
+    }
+
+    /**
+     * @function filterRows()
+     *    Returns the rows that match a 'where' condition.  See groupBy() for the format of the condition.
+     *           
+     * @param data         An array of objects
+     * @param where        The condition
+     * 
+     * @return   Returns a new array with the matching rows
+     */
+    filterRows(data, where) {
+        var me = this;
+        return data.filter(function(row) {
+            return me.matchesCondition(where, function(condition) { return row[condition.field]; });
+        });
+    }
+
+    /**
+     * @function matchesCondition()
+     *    Evaluates a 'where' or 'having' condition.  Conditions are combined with {"and": [...]}, {"or": [...]} and
+     *    {"not": {...}} (a plain array is the same as "and").  Values are compared as numbers when both sides are
+     *    numbers, as dates when both sides are ISO dates and as strings otherwise.
+     *           
+     * @param condition    The condition object
+     * @param resolve      function(condition) that returns the value to test for a single comparison
+     *                     (i.e. the row's field or the node's dataset aggregate)
+     * 
+     * @return   true or false
+     */
+    matchesCondition(condition, resolve) {
+        var me = this;
+        switch(true) {
+            case Array.isArray(condition):
+                return condition.every(function(c) { return me.matchesCondition(c, resolve); });
+            case typeof condition.and != 'undefined':
+                return condition.and.every(function(c) { return me.matchesCondition(c, resolve); });
+            case typeof condition.or != 'undefined':
+                return condition.or.some(function(c) { return me.matchesCondition(c, resolve); });
+            case typeof condition.not != 'undefined':
+                return ! me.matchesCondition(condition.not, resolve);
+        }
+
+        var val = resolve(condition);
+        var op = String(typeof condition.op == 'undefined' ? "=" : condition.op).trim().toLowerCase();
+        switch(op) {
+            case "=":
+            case "==":
+                return me.compareValues(val, condition.value) === 0;
+            case "!=":
+            case "<>":
+                return me.compareValues(val, condition.value) !== 0;
+            case "<":
+                return me.compareValues(val, condition.value) < 0;
+            case "<=":
+                return me.compareValues(val, condition.value) <= 0;
+            case ">":
+                return me.compareValues(val, condition.value) > 0;
+            case ">=":
+                return me.compareValues(val, condition.value) >= 0;
+            case "in":
+                return condition.value.some(function(v) { return me.compareValues(val, v) === 0; });
+            case "not in":
+                return ! condition.value.some(function(v) { return me.compareValues(val, v) === 0; });
+            case "between":
+                return me.compareValues(val, condition.value[0]) >= 0 && me.compareValues(val, condition.value[1]) <= 0;
+            case "is null":
+                return me.isBlank(val);
+            case "is not null":
+                return ! me.isBlank(val);
+            default:
+                throw new Error("Unknown operator '" + condition.op + "' in condition " + JSON.stringify(condition));
+        }
+    }
+
+    /**
+     * @function compareValues()
+     *    Compares two values as numbers, dates or strings -- see matchesCondition().
+     *           
+     * @param a            The value being tested
+     * @param b            The value from the condition
+     * 
+     * @return   Returns a negative number, 0 or a positive number.  NaN when a value is missing (so it never matches).
+     */
+    compareValues(a, b) {
+        if (this.isBlank(a) || this.isBlank(b)) {
+            return NaN;
+        }
+        var x = this.parseNumber(a), y = this.parseNumber(b);
+        if (x != null && y != null) {
+            return x - y;
+        }
+        var isoDate = /^\d{4}-\d{2}(-\d{2})?([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+        if (isoDate.test(a) && isoDate.test(b)) {
+            return new Date(a).getTime() - new Date(b).getTime();
+        }
+        a = String(a);
+        b = String(b);
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * @function keyComparator()
+     *    Returns the compare function to sort group values of the given type with.
+     *           
+     * @param type         "string", "numeric", "date", "natural" or undefined for the default of this level
+     * @param group        The group object for this level of the tree.
+     * 
+     * @return   Returns a compare function for Array.sort()
+     */
+    keyComparator(type, group) {
+        var byString = function(a, b) {
+            a = String(a);
+            b = String(b);
+            return a < b ? -1 : (a > b ? 1 : 0);
+        };
+        // Values that can not be parsed go last
+        var byNumber = function(parse) {
+            return function(a, b) {
+                var x = parse(a), y = parse(b);
+                if (isNaN(x) || isNaN(y)) {
+                    return (isNaN(x) - isNaN(y)) || byString(a, b);
+                }
+                return x - y;
+            };
+        };
+
+        switch(true) {
+            case type == "string":
+                return byString;
+            case type == "numeric":
+                return byNumber(parseFloat);
+            case type == "date":
+                return byNumber(function(val) { return new Date(val).getTime(); });
+            case type == "natural":
+                return function(a, b) { return String(a).localeCompare(String(b), undefined, {numeric: true, sensitivity: 'base'}); };
+            case group.modifier == "ranges":
+                var order = function(name) {
+                    var index = group.ranges.findIndex(function(range) { return range.label == name; });
+                    return index == -1 ? group.ranges.length : index;
+                };
+                return function(a, b) { return order(a) - order(b) || byString(a, b); };
+            case group.modifier == "bucket" || group.modifier == "histogram":
+                // The histogram labels start with "["
+                return byNumber(function(val) { return parseFloat(String(val).replace(/^\[/, "")); });
+            default:
+                return byString;
+        }
+    }
+    
+    /**
+     * @function aggFunction()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *    This function is called for each node of the grouping tree.  The group.datasets[j].data represents this grouping
+     *    based on the aggregate defined (i.e. sum, max, min etc) and based on the field being agregated on (i.e. sum(revenue)).    
+     *    When groupBy() passes in the accumulators it filled while bucketing the rows, their results are returned as is.
+     *    Built in aggregates:  sum, max, min, count, avg, median, stdev, variance, percentile(field,p), count_distinct,
+     *                          first, last, mode and boxplot.  More can be added with registerAggregate().
+     *           
+     * @param me           A reference to 'this' object
+     * @param data         The data object for this grouping (an array of objects)
+     * @param group        The current group object for this level in the tree
+     * @param name         The actual field value that we are grouping on for this node of the tree.
+     * @param accumulators (optional) The already filled accumulators for this node -- see createAccumulators()
+     * 
+     * @return   Returns an array with one aggregated value per dataset
+     */
+    aggFunction(me, data, group, name, accumulators) {
+        if (typeof accumulators == 'undefined') {
+            accumulators = me.createAccumulators(group);
+            for (var i=0; i<data.length; i++) {
+                if (me.groupKeys(data[i], group).indexOf(name) != -1) {
+                    for (var j=0; j<accumulators.length; j++) {
+                        accumulators[j].add(data[i]);
+                    }
+                }
+            }
+        }
+        return accumulators.map(function(accumulator) { return accumulator.result(); });
+    }
+
+    /**
+     * @function createAccumulators()
+     *    Creates one accumulator per dataset of this group.  Rows are fed to an accumulator one at a time
+     *    with add(row) and result() returns the aggregated value, so every dataset of a node can be computed
+     *    in the same pass over the data.
+     *           
+     * @param group        The current group object for this level in the tree
+     * 
+     * @return   Returns an array of accumulators, in the order of the datasets
+     */
+    createAccumulators(group) {
+        var accumulators = [];
+        for (var j=0; j<group.datasets.length; j++) {
+            if (typeof group.datasets[j] != 'undefined') {
+                accumulators.push(this.createAccumulator(group.datasets[j], group));
+            }
+        }
+        return accumulators;
+    }
+
+    /**
+     * @function createAccumulator()
+     *    Creates the accumulator for a single dataset based on its data string (i.e. sum(revenue)).
+     *    The aggregates are looked up in the registry -- see registerAggregate().  Values are parsed with the
+     *    dataset's numberFormat and nulls settings.  A data string with a formula (sum(revenue) / count()) or
+     *    a where clause gets an accumulator that feeds each of its aggregates and combines their results.
+     *           
+     * @param dataset      The dataset object
+     * @param group        The current group object for this level in the tree
+     * 
+     * @return   Returns an object with add(row) and result() functions.  Throws an Error for an unknown aggregate.
+     */
+    createAccumulator(dataset, group) {
+        var me = this;
+        var str = dataset.data;
+        var compiled = me.compileDataset(str);
+        var numberFormat = me.datasetOption('numberFormat', dataset, group);
+        var parts = [];
+        for (var i=0; i<compiled.aggregates.length; i++) {
+            parts.push(me.createAggregateAccumulator(compiled.aggregates[i], dataset, group));
+        }
+        if (compiled.where == null && compiled.expression.type == 'aggregate') {
+            return parts[0];
+        }
+
+        var context = {numberFormat: numberFormat};
+        var accumulator = {
+            parts: parts,
+            add(row) {
+                if (compiled.where == null || me.evaluateExpression(compiled.where, row, context) === true) {
+                    for (var j=0; j<this.parts.length; j++) {
+                        this.parts[j].add(row);
+                    }
+                }
+            },
+            result() {
+                var results = this.parts.map(function(part) { return part.result(); });
+                return me.evaluateExpression(compiled.expression, null, {numberFormat: numberFormat, results: results});
+            }
+        };
+        if (parts.every(function(part) { return typeof part.remove == 'function'; })) {
+            accumulator.remove = function(row) {
+                if (compiled.where == null || me.evaluateExpression(compiled.where, row, context) === true) {
+                    for (var j=0; j<this.parts.length; j++) {
+                        this.parts[j].remove(row);
+                    }
+                }
+            };
+        }
+        return accumulator;
+    }
+
+    /**
+     * @function createAggregateAccumulator()
+     *    Creates the accumulator for one aggregate of a datasets.data string -- see compileDataset().
+     *           
+     * @param aggregate    {name, field, expression, params} from compileDataset()
+     * @param dataset      The dataset object
+     * @param group        The current group object for this level in the tree
+     * 
+     * @return   Returns an object with add(row) and result() functions.  Throws an Error for an unknown aggregate.
+     */
+    createAggregateAccumulator(aggregate, dataset, group) {
+        var me = this;
+        var str = dataset.data;
+        var fn = me.getAggregate(aggregate.name);
+        var nulls = me.datasetOption('nulls', dataset, group);
+        var numberFormat = me.datasetOption('numberFormat', dataset, group);
+        var raw = (aggregate.expression == null) ? function(row) { return row[aggregate.field]; } : function(row) {
+            return me.evaluateExpression(aggregate.expression, row, {numberFormat: numberFormat});
+        };
+        var value = function(row) { return me.parseValue(raw(row), nulls, numberFormat, str); };
+
+        switch(true){
+            case typeof fn == 'function':
+                return {
+                    values: [],
+                    rows: [],
+                    add(row) {
+                        var val = value(row);
+                        if (val != null) {
+                            this.values.push(val);
+                            this.rows.push(row);
+                        }
+                    },
+                    // Note:  A copy of the values is handed out since the quartile functions sort in place
+                    result() { return this.values.length == 0 ? null : fn.call(me, this.values.slice(), aggregate.params, this.rows); }
+                };
+            case typeof fn != 'undefined' && fn != null:
+                return fn.create(aggregate.field, aggregate.params, me, value, raw);
+            default: 
+                throw new Error("Unknown aggregate '" + aggregate.name + "' in datasets.data '" + str + "' -- see registerAggregate()");
+        }
+    }
+  
+    Median(data) {
+      return this.Quartile_50(data);
+    }
+    
+    Quartile_25(data) {
+      return this.Quartile(data, 0.25);
+    }
+    
+    Quartile_50(data) {
+      return this.Quartile(data, 0.5);
+    }
+    
+    Quartile_75(data) {
+      return this.Quartile(data, 0.75);
+    }
+    
+    Quartile(data, q) {
+      data=this.Array_Sort_Numbers(data);
+      var pos = ((data.length) - 1) * q;
+      var base = Math.floor(pos);
+      var rest = pos - base;
+      if( (data[base+1]!==undefined) ) {
+        return data[base] + rest * (data[base+1] - data[base]);
+      } else {
+        return data[base];
+      }
+    }
+    
+    Array_Sort_Numbers(inputarray){
+      return inputarray.sort(function(a, b) {
+        return a - b;
+      });
+    }
+    
+    Array_Sum(t){
+       return t.reduce(function(a, b) { return a + b; }, 0); 
+    }
+    
+    Array_Average(data) {
+      return this.Array_Sum(data) / data.length;
+    }
+    
+    Array_Variance(data) {
+      var mean = this.Array_Average(data);
+      return this.Array_Sum(data.map(function(val) { return Math.pow(val - mean, 2); })) / data.length;
+    }
+    
+    Array_Stdev(tab){
+       var i,j,total = 0, mean = 0, diffSqredArr = [];
+       for(i=0;i<tab.length;i+=1){
+           total+=tab[i];
+       }
+       mean = total/tab.length;
+       for(j=0;j<tab.length;j+=1){
+           diffSqredArr.push(Math.pow((tab[j]-mean),2));
+       }
+       return (Math.sqrt(diffSqredArr.reduce(function(firstEl, nextEl){
+                return firstEl + nextEl;
+              })/tab.length));  
+    }
+    
+    /**
+     * @function pathAggFunction()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *   This function calculates the path for this node in the tree using the current groups object 
+     *   and the first record in the current data object for the parent levels, and the name for this level.
+     *   groupBy() passes the names of the parent nodes in, since a row that was exploded does not tell which
+     *   of its values it was grouped under.
+     * 
+     * @param me           A reference to 'this' object
+     * @param data         The data object for this grouping (an array of objects)
+     * @param groups       The full groups object
+     * @param group        The current group object for this level in the tree
+     * @param name         The actual field value that we are grouping on for this node of the tree.
+     * @param parentNames  (optional) The names of the nodes above this one
+     * 
+     * @return   Returns a string in the form:    "path > path > path..."
+     */
+    pathAggFunction(me, data, groups, group, name, parentNames) {
+        // The level is found by position -- two levels can group on the same field (i.e. date_trunc(year,startdate)
+        // then date_trunc(month,startdate))
+        var level = groups.indexOf(group);
+        if (level == -1) {
+            level = Array.isArray(parentNames) ? parentNames.length : groups.findIndex(function(g) { return g.field == group.field; });
+        }
+        var path = "";
+        for (var i=0; i<level; i++) {
+            path += ((Array.isArray(parentNames) && i < parentNames.length) ? parentNames[i] : me.groupKey(data[0], groups[i])) + " > ";
+        }
+        return path + name;
+    }
+  
+    /**
+     * @function downloadData()
+     *    Downloads the rows of a 'data' object (i.e. the data of a node of the tree) to the client computer.
+     *           
+     * @param series       The series object which holds the path information for this data object
+     * @param downloadObj  Holds which fields to download -- see normalizeColumns()
+     * @param data         The data object to download.
+     * @param format       "csv" (default), "tsv", "json", "ndjson" or "xls" (an Excel SpreadsheetML workbook)
+     * @param options      (optional) {filename, title, header} -- see serializeRows().  The filename defaults to
+     *                     this.downloadFilename or "ez_download", the extension is added for the format.
+     *                     The title defaults to this.title.  Pass the tree as options.tree to write the names of
+     *                     the nodes down to the series (see getNodeNames()) rather than series.path.  When data is
+     *                     null the rows of the series are used -- pass the data given to groupBy() as options.data
+     *                     for a tree built with the "indices" output (see getNodeRows()).
+     * 
+     * @return nothing
+     */
+    downloadData(series, downloadObj, data, format = "csv", options = {}) {
+      var me = this;
+      var exportFormat = exportFormats[format];
+      if (typeof exportFormat == 'undefined') {
+          throw new Error("Unknown download format '" + format + "'");
+      }
+      options = Object.assign({title: me.title}, options);
+      if (typeof options.path == 'undefined' && typeof series != 'undefined' && series != null) {
+          var names = (typeof options.tree != 'undefined') ? me.getNodeNames(options.tree, series) : null;
+          options.path = (names != null) ? names : series.path;
+      }
+      if ((typeof data == 'undefined' || data == null) && typeof series != 'undefined' && series != null) {
+          data = me.getNodeRows(series, options.data) || [];
+      }
+
+      var exportStr = me.serializeRows(data, downloadObj, format, options);
+      me.export(exportStr, me.downloadFileName(options.filename, exportFormat.extension), exportFormat.type);
+    }
+
+    /**
+     * @function downloadDataToCsv()
+     * @author Martin Israelsen <martin.israelsen@gmail.com>
+     *    Dumps out the data for this particular 'data' object into csv format.
+     *           
+     * @param series       The series object which holds the path information for this data object
+     * @param downloadObj  Holds which fields to download.
+     * @param data         The data object to download.
+     * @param options      (optional) See downloadData()
+     * 
+     * @return a csv file of the data
+     */        
+    downloadDataToCsv(series, downloadObj, data, options) {
+      this.downloadData(series, downloadObj, data, "csv", options);
+    }
+
+    /**
+     * @function downloadFileName()
+     *    Works out the name of a downloaded file.
+     *           
+     * @param filename     The wanted name (with or without extension), or undefined for this.downloadFilename / "ez_download"
+     * @param extension    The extension for the format
+     * 
+     * @return The file name
+     */
+    downloadFileName(filename, extension) {
+      if (typeof filename == 'undefined' || filename == null || filename == "") {
+          filename = (typeof this.downloadFilename == 'string' && this.downloadFilename != "") ? this.downloadFilename : "ez_download";
+      }
+      if (! new RegExp("\\." + extension + "$", "i").test(filename)) {
+          filename += "." + extension;
+      }
+      return filename;
+    }
+
+    /**
+     * @function normalizeColumns()
+     *    Turns the columns to download into [{field, label}].  The columns can be given as:
+     *      ["company", "revenue"]                                   The field names are the labels
+     *      [{"field": "revenue", "label": "Revenue ($)"}, ...]
+     *      {"company": "Company", "revenue": "Revenue ($)"}         field -> label
+     *           
+     * @param columns      The columns, or undefined for all the fields of the first row
+     * @param data         The rows (only used when there are no columns)
+     * 
+     * @return An array of {field, label}
+     */
+    normalizeColumns(columns, data) {
+      switch(true) {
+          case Array.isArray(columns):
+              return columns.map(function(column) {
+                  if (column != null && typeof column == 'object') {
+                      return {field: column.field, label: (typeof column.label != 'undefined') ? column.label : column.field};
+                  }
+                  return {field: column, label: column};
+              });
+          case columns != null && typeof columns == 'object':
+              return Object.keys(columns).map(function(field) { return {field: field, label: columns[field]}; });
+          default:
+              return Object.keys((data && data.length > 0) ? data[0] : {}).map(function(field) { return {field: field, label: field}; });
+      }
+    }
+
+    /**
+     * @function serializeRows()
+     *    Turns rows into a string in the given format.  Works without a browser, so it can be used from Node and tests.
+     *           
+     * @param data         The rows (an array of objects)
+     * @param columns      Which fields to write and their labels -- see normalizeColumns()
+     * @param format       "csv" (RFC 4180), "tsv", "json", "ndjson" or "xls" (an Excel SpreadsheetML workbook)
+     * @param options      (optional) {
+     *                       title:      A title line written above the csv/tsv table (and the Excel sheet name)
+     *                       path:       The path of the node, written as a "Local Filter" line above the csv/tsv table.
+     *                                   Pass the names of the nodes (see getNodeNames()) to get a cell for each
+     *                       header:     false to leave out the header line.  Default is true
+     *                     }
+     * 
+     * @return The serialized string
+     */
+    serializeRows(data, columns, format = "csv", options = {}) {
+      var cols = this.normalizeColumns(columns, data);
+      var rows = data.map(function(row) {
+          return cols.map(function(column) { return row[column.field]; });
+      });
+      return this.serializeTable(cols.map(function(column) { return column.label; }), rows, format, options);
+    }
+
+    /**
+     * @function serializeTable()
+     *    Turns a table (headers and rows of values) into a string in the given format -- see serializeRows().
+     *           
+     * @param headers      The column labels
+     * @param rows         An array of rows, each an array of values in the order of the headers
+     * @param format       "csv", "tsv", "json", "ndjson" or "xls"
+     * @param options      (optional) See serializeRows()
+     * 
+     * @return The serialized string
+     */
+    serializeTable(headers, rows, format = "csv", options = {}) {
+      var me = this;
+      var toObject = function(values) {
+          var obj = {};
+          headers.forEach(function(header, i) { obj[header] = (typeof values[i] == 'undefined') ? null : values[i]; });
+          return obj;
+      };
+
+      switch(format) {
+          case "csv":
+          case "tsv":
+              var delimiter = (format == "csv") ? "," : "\t";
+              var line = function(values) {
+                  return values.map(function(val) { return me.escapeDelimited(val, delimiter); }).join(delimiter) + "\r\n";
+              };
+              var exportStr = "";
+              if (typeof options.title != 'undefined' && options.title != null && options.title != "") {
+                  exportStr += line([options.title]) + "\r\n";
+              }
+              if (typeof options.path != 'undefined' && options.path != null && options.path != "" && options.path.length != 0) {
+                  // The names of the nodes (see getNodeNames()) go in a cell each, so a name holding " > " stays whole
+                  exportStr += line(["Local Filter:"]) + line(Array.isArray(options.path) ? options.path : [options.path]) + "\r\n";
+              }
+              if (options.header !== false) {
+                  exportStr += line(headers);
+              }
+              return exportStr + rows.map(line).join("");
+          case "json":
+              return JSON.stringify(rows.map(toObject), null, 2);
+          case "ndjson":
+              return rows.map(function(values) { return JSON.stringify(toObject(values)) + "\n"; }).join("");
+          case "xls":
+              return me.serializeSpreadsheetML(headers, rows, options);
+          default:
+              throw new Error("Unknown serialize format '" + format + "'");
+      }
+    }
+
+    /**
+     * @function escapeDelimited()
+     *    Escapes one value for a csv (RFC 4180) or tsv line.  A value holding the delimiter, a quote or a line break
+     *    is wrapped in quotes with its quotes doubled.  Missing values are written as an empty field.
+     *           
+     * @param val          The value
+     * @param delimiter    The field delimiter
+     * 
+     * @return The escaped field
+     */
+    escapeDelimited(val, delimiter) {
+      if (typeof val == 'undefined' || val === null) {
+          return "";
+      }
+      var str = (typeof val == 'object') ? JSON.stringify(val) : String(val);
+      if (str.indexOf(delimiter) != -1 || /["\r\n]/.test(str)) {
+          return '"' + str.replace(/"/g, '""') + '"';
+      }
+      return str;
+    }
+
+    /**
+     * @function serializeSpreadsheetML()
+     *    Writes a table as an Excel 2003 XML (SpreadsheetML) workbook -- a plain text file Excel opens as a spreadsheet.
+     *    Numbers (and strings that are plain numbers) are written as numeric cells.
+     *           
+     * @param headers      The column labels
+     * @param rows         An array of rows, each an array of values
+     * @param options      (optional) {title, header} -- the title is used as the sheet name
+     * 
+     * @return The workbook as a string
+     */
+    serializeSpreadsheetML(headers, rows, options = {}) {
+      var escape = function(str) {
+          return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+                            .replace(/\r?\n/g, "&#10;");
+      };
+      var cell = function(val) {
+          switch(true) {
+              case typeof val == 'undefined' || val === null:
+                  return '<Cell/>';
+              case typeof val == 'number' && isFinite(val):
+              case typeof val == 'string' && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(val):
+                  return '<Cell><Data ss:Type="Number">' + val + '</Data></Cell>';
+              case typeof val == 'object':
+                  return '<Cell><Data ss:Type="String">' + escape(JSON.stringify(val)) + '</Data></Cell>';
+              default:
+                  return '<Cell><Data ss:Type="String">' + escape(val) + '</Data></Cell>';
+          }
+      };
+      var row = function(values) { return '   <Row>' + values.map(cell).join('') + '</Row>\n'; };
+      // Sheet names are limited to 31 characters and can not hold : \ / ? * [ ]
+      var sheetName = String(options.title || "Sheet1").replace(/[:\\\/?*\[\]]/g, " ").slice(0, 31);
+
+      return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+             '<?mso-application progid="Excel.Sheet"?>\n' +
+             '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n' +
+             ' <Worksheet ss:Name="' + escape(sheetName) + '">\n' +
+             '  <Table>\n' +
+             (options.header !== false ? row(headers) : '') +
+             rows.map(row).join('') +
+             '  </Table>\n' +
+             ' </Worksheet>\n' +
+             '</Workbook>\n';
+    }
+  
+    /**
+     * @function flattenTree()
+     *    Flattens the grouped up tree (what the charts show) into a pivot style table:  a column for each group level,
+     *    then a column for each dataset label with its aggregate.  A boxplot is expanded into min, q1, median, q3 and max
+     *    columns.  Datasets with the same label on different levels share a column.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param options      (optional) {
+     *                       path:       Only flatten the node with this path or names (and what is under it)
+     *                                   -- see findByPath()
+     *                       subtotals:  true for a row for every node -- a parent's row follows its children and
+     *                                   has the deeper level columns empty.  Default is a row for the leaf nodes only.
+     *                     }
+     * 
+     * @return {headers, rows} -- rows is an array of arrays of values in the order of the headers
+     */
+    flattenTree(tree, options = {}) {
+      this.checkTreeGroups(tree, "flattenTree");
+      var me = this;
+      var levels = [];
+      var datasets = [];
+      var datasetIndex = {};
+      var found = [];
+
+      var visit = function(nodes, parentNames) {
+          nodes.forEach(function(node) {
+              if (node.isTotal) {
+                  // The "Total" root is not a level -- with subtotals it is the last row, with every level column empty
+                  visit(Array.isArray(node.drilldown) ? node.drilldown : [], parentNames);
+                  if (options.subtotals) {
+                      found.push({names: parentNames, node: node});
+                  }
+                  return;
+              }
+              var depth = parentNames.length;
+              var names = parentNames.concat([node.name]);
+              var isLeaf = ! Array.isArray(node.drilldown) || node.drilldown.length == 0;
+              if (typeof levels[depth] == 'undefined') {
+                  levels[depth] = me.groupLabel(node.group);
+              }
+              if (! isLeaf) {
+                  visit(node.drilldown, names);
+              }
+              if (isLeaf || options.subtotals) {
+                  found.push({names: names, node: node});
+              }
+          });
+      };
+
+      var start = tree;
+      var ancestors = [];
+      if (typeof options.path != 'undefined' && options.path != null) {
+          var located = me.locateNode(tree, options.path);
+          start = (located == null) ? [] : [located.node];
+          (located == null ? [] : located.ancestors).forEach(function(node) {
+              if (node.isTotal) {
+                  return;
+              }
+              levels[ancestors.length] = me.groupLabel(node.group);
+              ancestors.push(node.name);
+          });
+      }
+      visit(start, ancestors);
+
+      // One column (or five for a boxplot) per dataset label
+      found.forEach(function(item) {
+          var group = item.node.group || {datasets: []};
+          group.datasets.forEach(function(dataset) {
+              var label = me.datasetLabel(dataset);
+              if (typeof datasetIndex[label] == 'undefined') {
+                  datasetIndex[label] = datasets.length;
+                  datasets.push({label: label, boxplot: me.isBoxplotDataset(dataset)});
+              }
+          });
+      });
+
+      var headers = levels.slice();
+      datasets.forEach(function(dataset) {
+          if (dataset.boxplot) {
+              ["min", "q1", "median", "q3", "max"].forEach(function(part) { headers.push(dataset.label + " " + part); });
+          } else {
+              headers.push(dataset.label);
+          }
+      });
+
+      var rows = found.map(function(item) {
+          var row = levels.map(function(level, i) { return (i < item.names.length) ? item.names[i] : null; });
+          var values = {};
+          var group = item.node.group || {datasets: []};
+          group.datasets.forEach(function(dataset, j) {
+              values[me.datasetLabel(dataset)] = Array.isArray(item.node.y) ? item.node.y[j] : undefined;
+          });
+          datasets.forEach(function(dataset) {
+              var val = values[dataset.label];
+              if (dataset.boxplot) {
+                  ["min", "q1", "median", "q3", "max"].forEach(function(part) {
+                      row.push((val != null && typeof val == 'object') ? val[part] : null);
+                  });
+              } else {
+                  row.push(typeof val == 'undefined' ? null : val);
+              }
+          });
+          return row;
+      });
+
+      return {headers: headers, rows: rows};
+    }
+
+    /**
+     * @function groupLabel()
+     *    The column header for a level of the tree -- the group's label if it has one, else its field
+     *    (with the modifier, i.e. date_trunc(month,startdate)).
+     *           
+     * @param group        The group object for a level of the tree
+     * 
+     * @return The header
+     */
+    groupLabel(group) {
+      switch(true) {
+          case typeof group == 'undefined' || group == null:
+              return "";
+          case typeof group.label != 'undefined':
+              return group.label;
+          case typeof group.modifier != 'undefined':
+              return group.modifier + "(" + group.modifierParams.join(",") + ")";
+          case Array.isArray(group.fields):
+              return group.fields.map(function(level) { return this.groupLabel(level); }, this).join(this.groupByOption('join', group));
+          default:
+              return group.field;
+      }
+    }
+
+    /**
+     * @function serializeTree()
+     *    Flattens the tree (see flattenTree()) and turns it into a string.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param format       "csv" (default), "tsv", "json", "ndjson" or "xls"
+     * @param options      (optional) The options of flattenTree() and serializeRows()
+     * 
+     * @return The serialized string
+     */
+    serializeTree(tree, format = "csv", options = {}) {
+      this.checkTreeGroups(tree, "serializeTree");
+      var table = this.flattenTree(tree, options);
+      return this.serializeTable(table.headers, table.rows, format, options);
+    }
+
+    /**
+     * @function downloadTree()
+     *    Downloads the grouped up tree (or the subtree at options.path) to the client computer -- see flattenTree().
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param format       "csv" (default), "tsv", "json", "ndjson" or "xls"
+     * @param options      (optional) The options of flattenTree() and downloadData()
+     * 
+     * @return nothing
+     */
+    downloadTree(tree, format = "csv", options = {}) {
+      var exportFormat = exportFormats[format];
+      if (typeof exportFormat == 'undefined') {
+          throw new Error("Unknown download format '" + format + "'");
+      }
+      options = Object.assign({title: this.title}, options);
+      this.export(this.serializeTree(tree, format, options), this.downloadFileName(options.filename, exportFormat.extension), exportFormat.type);
+    }
+  
+    /**
+     * @function toHighcharts()
+     *    Converts the tree into a Highcharts drilldown config:  a series per dataset of the first level, and a
+     *    drilldown series per dataset of each node's drilldown.  The id of a drilldown series is the node's names
+     *    (see encodePath()) and the index of the dataset, i.e. "Nucore/Development|0".  Merge it into the chart options:
+     *        Highcharts.chart(el, Object.assign({title: {text: "Revenue"}}, me.toHighcharts(tree)));
+     *    Dataset types map to line, column (bar) and stacked column (stackedbar); a boxplot dataset becomes a
+     *    boxplot series.  Colors come from the dataset's bordercolor/backgroundcolor or the palette.
+     *    Note:  A Highcharts point drills down to a single series, so a point of the j-th dataset drills down to the
+     *    j-th dataset of the next level (or its last one when it has fewer).  The datasets of a drilldown level past
+     *    the number of datasets of the level above can not be reached that way and are left out -- add those from
+     *    the chart's drilldown event with chart.addSingleSeriesAsDrilldown() if they are needed.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param options      (optional) {colors: the palette to use instead of the default one}
+     * 
+     * @return {xAxis, series, drilldown: {series}}
+     */
+    toHighcharts(tree, options = {}) {
+      this.checkTreeGroups(tree, "toHighcharts");
+      var me = this;
+      var drilldownSeries = [];
+
+      var levelSeries = function(nodes, names, reachable) {
+          if (! Array.isArray(nodes) || nodes.length == 0 || typeof nodes[0].group == 'undefined') {
+              return [];
+          }
+          var datasets = nodes[0].group.datasets;
+          // The ids of the drilldown series of each node
+          var drilldownIds = nodes.map(function(node) {
+              return levelSeries(node.drilldown, (names || []).concat([node.name]), datasets.length).map(function(series) { return series.id; });
+          });
+          // Only as many drilldown series as the level above has datasets can be drilled down to
+          return datasets.slice(0, reachable).map(function(dataset, j) {
+              var boxplot = me.isBoxplotDataset(dataset);
+              var series = {
+                  name: me.datasetLabel(dataset),
+                  type: boxplot ? "boxplot" : me.chartType(dataset, "highcharts"),
+                  color: me.chartColor(dataset, j, options, "border"),
+                  data: nodes.map(function(node, i) {
+                      var val = Array.isArray(node.y) ? node.y[j] : undefined;
+                      var point = {name: String(node.name)};
+                      if (boxplot) {
+                          Object.assign(point, (val != null && typeof val == 'object') ?
+                              {low: val.min, q1: val.q1, median: val.median, q3: val.q3, high: val.max} : {low: null, q1: null, median: null, q3: null, high: null});
+                      } else {
+                          point.y = (typeof val == 'undefined') ? null : val;
+                      }
+                      if (drilldownIds[i].length > 0) {
+                          point.drilldown = drilldownIds[i][Math.min(j, drilldownIds[i].length - 1)];
+                      }
+                      return point;
+                  })
+              };
+              if (/^stacked/.test(dataset.type)) {
+                  series.stacking = "normal";
+              }
+              if (typeof names != 'undefined') {
+                  series.id = me.encodePath(names) + "|" + j;
+                  drilldownSeries.push(series);
+              }
+              return series;
+          });
+      };
+
+      return {
+          xAxis: {type: "category"},
+          series: levelSeries(me.treeLevels(tree)),
+          drilldown: {series: drilldownSeries}
+      };
+    }
+
+    /**
+     * @function toChartJs()
+     *    Converts one level of the tree into a Chart.js config with a dataset per dataset of the level.  Dataset types
+     *    map to line, bar and stacked bar; a boxplot dataset becomes a "boxplot" dataset of {min, q1, median, q3, max}
+     *    (which needs the Chart.js boxplot plugin).  Colors come from the dataset or the palette.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param options      (optional) {
+     *                       path:    The path of the node whose drilldown to chart.  Default is the first level.
+     *                       colors:  The palette to use instead of the default one
+     *                     }
+     * 
+     * @return {type, data: {labels, datasets}, options}
+     */
+    toChartJs(tree, options = {}) {
+      this.checkTreeGroups(tree, "toChartJs");
+      var me = this;
+      var nodes = me.drilldownLevel(tree, options.path);
+      var datasets = (nodes.length > 0 && nodes[0].group) ? nodes[0].group.datasets : [];
+      var stacked = datasets.some(function(dataset) { return /^stacked/.test(dataset.type); });
+
+      var chartDatasets = datasets.map(function(dataset, j) {
+          var boxplot = me.isBoxplotDataset(dataset);
+          var chartDataset = {
+              label: me.datasetLabel(dataset),
+              type: boxplot ? "boxplot" : me.chartType(dataset, "chartjs"),
+              backgroundColor: me.chartColor(dataset, j, options, "background"),
+              borderColor: me.chartColor(dataset, j, options, "border"),
+              data: nodes.map(function(node) {
+                  var val = Array.isArray(node.y) ? node.y[j] : undefined;
+                  if (boxplot && val != null && typeof val == 'object') {
+                      return {min: val.min, q1: val.q1, median: val.median, q3: val.q3, max: val.max};
+                  }
+                  return (typeof val == 'undefined') ? null : val;
+              })
+          };
+          if (/^stacked/.test(dataset.type)) {
+              chartDataset.stack = "stack";
+          }
+          return chartDataset;
+      });
+
+      return {
+          type: (chartDatasets.length > 0) ? chartDatasets[0].type : "bar",
+          data: {
+              labels: nodes.map(function(node) { return String(node.name); }),
+              datasets: chartDatasets
+          },
+          options: {
+              scales: {x: {stacked: stacked}, y: {stacked: stacked}}
+          }
+      };
+    }
+
+    /**
+     * @function toECharts()
+     *    Converts one level of the tree into an ECharts option object with a series per dataset of the level.
+     *    Dataset types map to line, bar and stacked bar; a boxplot dataset becomes a boxplot series of
+     *    [min, q1, median, q3, max].  Colors come from the dataset or the palette.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param options      (optional) {path, colors} -- see toChartJs()
+     * 
+     * @return The ECharts option object
+     */
+    toECharts(tree, options = {}) {
+      this.checkTreeGroups(tree, "toECharts");
+      var me = this;
+      var nodes = me.drilldownLevel(tree, options.path);
+      var datasets = (nodes.length > 0 && nodes[0].group) ? nodes[0].group.datasets : [];
+
+      return {
+          color: options.colors || globalColors,
+          tooltip: {trigger: "axis"},
+          legend: {data: datasets.map(function(dataset) { return me.datasetLabel(dataset); })},
+          xAxis: {type: "category", data: nodes.map(function(node) { return String(node.name); })},
+          yAxis: {type: "value"},
+          series: datasets.map(function(dataset, j) {
+              var boxplot = me.isBoxplotDataset(dataset);
+              var series = {
+                  name: me.datasetLabel(dataset),
+                  type: boxplot ? "boxplot" : me.chartType(dataset, "echarts"),
+                  itemStyle: {color: me.chartColor(dataset, j, options, "border")},
+                  data: nodes.map(function(node) {
+                      var val = Array.isArray(node.y) ? node.y[j] : undefined;
+                      if (boxplot) {
+                          return (val != null && typeof val == 'object') ? [val.min, val.q1, val.median, val.q3, val.max] : [];
+                      }
+                      return (typeof val == 'undefined') ? null : val;
+                  })
+              };
+              if (/^stacked/.test(dataset.type)) {
+                  series.stack = "stack";
+              }
+              return series;
+          })
+      };
+    }
+
+    /**
+     * @function drilldownLevel()
+     *    Returns the nodes of one level of the tree -- the first level, or the drilldown of the node with the given path.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param path         (optional) The path of the node, i.e. "Nucore > 2018-01", or its names -- see findByPath()
+     * 
+     * @return An array of nodes (empty when the path is not found or the node is a leaf)
+     */
+    drilldownLevel(tree, path) {
+      if (typeof path == 'undefined' || path == null || path == "" || (Array.isArray(path) && path.length == 0)) {
+          return this.treeLevels(tree);
+      }
+      var node = this.findByPath(tree, path);
+      return (node != null && Array.isArray(node.drilldown)) ? node.drilldown : [];
+    }
+
+    /**
+     * @function treeLevels()
+     *    Returns the first level of the tree -- the drilldown of the "Total" root node when the tree has one
+     *    (see the 'totals' setting of groupBy()).
+     *           
+     * @param tree         The tree returned by groupBy()
+     * 
+     * @return An array of nodes
+     */
+    treeLevels(tree) {
+      if (! Array.isArray(tree)) {
+          return [];
+      }
+      if (tree.length == 1 && tree[0].isTotal && Array.isArray(tree[0].drilldown)) {
+          return tree[0].drilldown;
+      }
+      return tree;
+    }
+
+    /**
+     * @function checkTreeGroups()
+     *    Throws when the nodes of the tree have no node.group -- a tree grouped up with the 'output' setting "summary"
+     *    (see compactTree()) -- since the charts and flattenTree() need the group of each level.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param caller       The name of the calling function for the error message
+     * 
+     * @return nothing
+     */
+    checkTreeGroups(tree, caller) {
+      var nodes = this.treeLevels(tree);
+      if (nodes.length > 0 && typeof nodes[0].group == 'undefined') {
+          throw new Error(caller + "() needs node.group, which a tree grouped up with the 'output' setting \"summary\" does not have");
+      }
+    }
+
+    /**
+     * @function walk()
+     *    Visits every node of the tree, parents before their children.
+     *           
+     * @param tree         The tree returned by groupBy() (or the drilldown of a node)
+     * @param fn           function(node, ancestors, depth) -- ancestors are the nodes above it, the first level
+     *                     first.  Return false to skip the nodes under it.
+     * 
+     * @return nothing
+     */
+    walk(tree, fn) {
+      var visit = function(nodes, ancestors) {
+          if (! Array.isArray(nodes)) {
+              return;
+          }
+          nodes.forEach(function(node) {
+              if (fn(node, ancestors, ancestors.length) !== false) {
+                  visit(node.drilldown, ancestors.concat([node]));
+              }
+          });
+      };
+      visit(tree, []);
+    }
+
+    /**
+     * @function mapTree()
+     *    Builds a new tree with fn() applied to every node.  The drilldown of what fn() returns is set to the
+     *    mapped nodes under it (when the node has any).
+     *    Example:  mapTree(tree, function(node) { return {name: node.name, value: node.y[0]}; })
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param fn           function(node, ancestors, depth) that returns the new node
+     * 
+     * @return The new tree
+     */
+    mapTree(tree, fn) {
+      var map = function(nodes, ancestors) {
+          return nodes.map(function(node) {
+              var mapped = fn(node, ancestors, ancestors.length);
+              if (Array.isArray(node.drilldown) && mapped != null && typeof mapped == 'object') {
+                  mapped.drilldown = map(node.drilldown, ancestors.concat([node]));
+              }
+              return mapped;
+          });
+      };
+      return Array.isArray(tree) ? map(tree, []) : [];
+    }
+
+    /**
+     * @function locateNode()
+     *    Finds a node of the tree along with the nodes above it.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node itself, its path ("Nucore > 2018-01") or the names of the nodes down to it
+     *                     (["Nucore", "2018-01"] -- see decodePath())
+     *                     The "Total" root (see the 'totals' setting of groupBy()) is not a level, so the names start
+     *                     at the first level and the root is never one of the ancestors.  It is found by its path "".
+     * 
+     * @return {node, ancestors} or null when it is not in the tree
+     */
+    locateNode(tree, target) {
+      var levels = this.treeLevels(tree);
+      if (levels !== tree && (target === tree[0] || target === "")) {
+          return {node: tree[0], ancestors: []};
+      }
+      tree = levels;
+      var search;
+      switch(true) {
+          case Array.isArray(target):
+              search = function(nodes, ancestors) {
+                  var depth = ancestors.length;
+                  var node = nodes.find(function(n) { return String(n.name) === String(target[depth]); });
+                  switch(true) {
+                      case typeof node == 'undefined':
+                          return null;
+                      case depth == target.length - 1:
+                          return {node: node, ancestors: ancestors};
+                      default:
+                          return Array.isArray(node.drilldown) ? search(node.drilldown, ancestors.concat([node])) : null;
+                  }
+              };
+              return (target.length == 0) ? null : search(tree, []);
+          case typeof target == 'string':
+              // A name can hold " > " itself, so every node whose path is a start of the wanted path is tried
+              search = function(nodes, ancestors) {
+                  for (var i = 0; i < nodes.length; i++) {
+                      var node = nodes[i];
+                      if (node.path === target) {
+                          return {node: node, ancestors: ancestors};
+                      }
+                      if (Array.isArray(node.drilldown) && (node.path === "" || target.indexOf(node.path + " > ") == 0)) {
+                          var found = search(node.drilldown, ancestors.concat([node]));
+                          if (found != null) {
+                              return found;
+                          }
+                      }
+                  }
+                  return null;
+              };
+              return search(tree, []);
+          case typeof target == 'object' && target != null:
+              var result = null;
+              this.walk(tree, function(node, ancestors) {
+                  if (result != null) {
+                      return false;
+                  }
+                  if (node === target) {
+                      result = {node: node, ancestors: ancestors};
+                  }
+              });
+              return result;
+          default:
+              return null;
+      }
+    }
+
+    /**
+     * @function findByPath()
+     *    Finds a node of the tree by its path.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param path         The path of the node ("Nucore > 2018-01"), or the names of the nodes down to it
+     *                     (["Nucore", "2018-01"] -- i.e. from decodePath())
+     * 
+     * @return The node, or null when it is not in the tree
+     */
+    findByPath(tree, path) {
+      var found = this.locateNode(tree, path);
+      return (found == null) ? null : found.node;
+    }
+
+    /**
+     * @function getAncestors()
+     *    Returns the nodes above a node, i.e. for breadcrumbs.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node, its path or its names -- see locateNode()
+     * 
+     * @return An array of nodes, the first level first (empty for a node of the first level), or null when the
+     *         node is not in the tree
+     */
+    getAncestors(tree, target) {
+      var found = this.locateNode(tree, target);
+      return (found == null) ? null : found.ancestors;
+    }
+
+    /**
+     * @function getNodeNames()
+     *    Returns the names of the nodes from the top of the tree down to a node.  Unlike node.path they can be
+     *    told apart when a name holds " > ".
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node, its path or its names -- see locateNode()
+     * 
+     * @return An array of names, or null when the node is not in the tree
+     */
+    getNodeNames(tree, target) {
+      var found = this.locateNode(tree, target);
+      if (found == null) {
+          return null;
+      }
+      return found.ancestors.concat([found.node]).filter(function(node) { return ! node.isTotal; }).map(function(node) { return node.name; });
+    }
+
+    /**
+     * @function flattenLevel()
+     *    Returns all the nodes at one depth of the tree, in tree order (i.e. every month of every company).
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param depth        The level -- 0 is the first level
+     * 
+     * @return An array of nodes
+     */
+    flattenLevel(tree, depth) {
+      var nodes = [];
+      this.walk(this.treeLevels(tree), function(node, ancestors) {
+          if (ancestors.length == depth) {
+              nodes.push(node);
+              return false;
+          }
+      });
+      return nodes;
+    }
+
+    /**
+     * @function encodePath()
+     *    Encodes the names of the nodes down to a node into a string that can go in a URL.  Each name is
+     *    URI encoded and they are joined with "/", so names holding " > ", "/" or "," come back the same
+     *    from decodePath().
+     *    Example:  ["Nucore", "A > B, C"]  ->  "Nucore/A%20%3E%20B%2C%20C"
+     *           
+     * @param names        The names -- see getNodeNames()
+     * 
+     * @return The encoded path
+     */
+    encodePath(names) {
+      return names.map(function(name) { return encodeURIComponent(String(name)); }).join("/");
+    }
+
+    /**
+     * @function decodePath()
+     *    Turns a path made by encodePath() back into the names of the nodes.
+     *           
+     * @param str          The encoded path
+     * 
+     * @return An array of names
+     */
+    decodePath(str) {
+      if (typeof str != 'string' || str == "") {
+          return [];
+      }
+      return str.split("/").map(function(name) { return decodeURIComponent(name); });
+    }
+
+    /**
+     * @function expandNode()
+     *    Marks a node (and the nodes above it) as expanded.  The expanded nodes are kept as encoded paths (see
+     *    encodePath()), so the state still holds after the tree is grouped up again and can be saved with
+     *    getDrilldownState().
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node, its path or its names -- see locateNode()
+     * 
+     * @return true, or false when the node is not in the tree
+     */
+    expandNode(tree, target) {
+      var names = this.getNodeNames(tree, target);
+      if (names == null) {
+          return false;
+      }
+      for (var i = 1; i <= names.length; i++) {
+          this.expandedPaths().add(this.encodePath(names.slice(0, i)));
+      }
+      return true;
+    }
+
+    /**
+     * @function collapseNode()
+     *    Marks a node and all the nodes under it as collapsed.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node, its path or its names -- see locateNode()
+     * 
+     * @return true, or false when the node is not in the tree
+     */
+    collapseNode(tree, target) {
+      var names = this.getNodeNames(tree, target);
+      if (names == null) {
+          return false;
+      }
+      var path = this.encodePath(names);
+      var expanded = this.expandedPaths();
+      Array.from(expanded).forEach(function(key) {
+          if (key === path || key.indexOf(path + "/") == 0) {
+              expanded.delete(key);
+          }
+      });
+      return true;
+    }
+
+    /**
+     * @function toggleNode()
+     *    Expands a collapsed node or collapses an expanded one.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node, its path or its names -- see locateNode()
+     * 
+     * @return true when the node is now expanded
+     */
+    toggleNode(tree, target) {
+      if (this.isExpanded(tree, target)) {
+          this.collapseNode(tree, target);
+          return false;
+      }
+      return this.expandNode(tree, target);
+    }
+
+    /**
+     * @function isExpanded()
+     *    Checks whether a node is expanded.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * @param target       The node, its path or its names -- see locateNode()
+     * 
+     * @return true or false
+     */
+    isExpanded(tree, target) {
+      var names = this.getNodeNames(tree, target);
+      return names != null && this.expandedPaths().has(this.encodePath(names));
+    }
+
+    /**
+     * @function getExpandedNodes()
+     *    Returns the expanded nodes that are in the tree, parents before their children.
+     *           
+     * @param tree         The tree returned by groupBy()
+     * 
+     * @return An array of nodes
+     */
+    getExpandedNodes(tree) {
+      var me = this;
+      var expanded = me.expandedPaths();
+      var nodes = [];
+      me.walk(me.treeLevels(tree), function(node, ancestors) {
+          var path = me.encodePath(ancestors.concat([node]).map(function(n) { return n.name; }));
+          if (! expanded.has(path)) {
+              return false;
+          }
+          nodes.push(node);
+      });
+      return nodes;
+    }
+
+    /**
+     * @function getDrilldownState()
+     *    Saves which nodes are expanded as a string that can go in the URL (i.e. ?drilldown=...) and be
+     *    handed back to setDrilldownState().
+     *    Example:  "Nucore,Nucore/2018-01,Spillman"
+     * 
+     * @return The state
+     */
+    getDrilldownState() {
+      return Array.from(this.expandedPaths()).sort().join(",");
+    }
+
+    /**
+     * @function setDrilldownState()
+     *    Restores which nodes are expanded from getDrilldownState().  Nodes that are not in the tree (any more)
+     *    are kept, but not returned by getExpandedNodes().
+     *           
+     * @param state        The string from getDrilldownState(), or an array of encoded paths
+     * 
+     * @return nothing
+     */
+    setDrilldownState(state) {
+      var paths = Array.isArray(state) ? state : (typeof state == 'string' && state != "") ? state.split(",") : [];
+      this.expandedNodePaths = new Set(paths);
+    }
+
+    /**
+     * @function expandedPaths()
+     *    The encoded paths of the expanded nodes -- see expandNode().
+     * 
+     * @return A Set of encoded paths
+     */
+    expandedPaths() {
+      if (! (this.expandedNodePaths instanceof Set)) {
+          this.expandedNodePaths = new Set();
+      }
+      return this.expandedNodePaths;
+    }
+
+    /**
+     * @function chartType()
+     *    Maps the 'type' of a dataset (line, bar, stackedbar, ...) to the series type of a chart library.
+     *           
+     * @param dataset      The dataset object
+     * @param library      "highcharts", "chartjs" or "echarts"
+     * 
+     * @return The series type
+     */
+    chartType(dataset, library) {
+      var type = String(dataset.type || "bar").replace(/^stacked/, "");
+      switch(true) {
+          case type == "bar" && library == "highcharts":
+              return "column";
+          case type == "area" && library == "chartjs":
+              return "line";
+          default:
+              return type;
+      }
+    }
+
+    /**
+     * @function chartColor()
+     *    The color of a dataset -- its own bordercolor or backgroundcolor, else the palette color for its position.
+     *           
+     * @param dataset      The dataset object
+     * @param index        The position of the dataset in its level
+     * @param options      {colors} -- the palette to use instead of the default one
+     * @param kind         "border" or "background" -- which of the dataset's colors to prefer
+     * 
+     * @return The color
+     */
+    chartColor(dataset, index, options, kind) {
+      var palette = (options && Array.isArray(options.colors) && options.colors.length > 0) ? options.colors : globalColors;
+      var first = (kind == "background") ? dataset.backgroundcolor : dataset.bordercolor;
+      var second = (kind == "background") ? dataset.bordercolor : dataset.backgroundcolor;
+      return first || second || palette[index % palette.length];
+    }
+
+    /**
+     * @function datasetLabel()
+     *    The label of a dataset, or its data string (i.e. "sum(revenue)") when it has no label.
+     *           
+     * @param dataset      The dataset object
+     * 
+     * @return The label
+     */
+    datasetLabel(dataset) {
+      return (typeof dataset.label != 'undefined') ? dataset.label : dataset.data;
+    }
+
+    /**
+     * @function isBoxplotDataset()
+     *    Checks if a dataset aggregates to a boxplot.
+     *           
+     * @param dataset      The dataset object
+     * 
+     * @return true or false
+     */
+    isBoxplotDataset(dataset) {
+      return /^\s*boxplot\s*\(/.test(dataset.data);
     }
   
   /**
      * @function export()
-     *    Downloads the formatted string to the client computer in csv format.
+     *    Downloads the formatted string to the client computer.  Browser only -- use serializeRows() to get the string.
      *           
      * @param exportStr       The data string to download 
      * @param filename        The name of the file to download to client computer
-     * @param fileType        The format of the file -- in this case text/csv
+     * @param fileType        The mime type of the file -- i.e. text/csv
      * 
      * @return a csv file of the data
      */         
@@ -480,4 +4977,4 @@ export const EzGroupbyTreeMixin = (superclass) => class extends superclass {
           }
       }
   
-  };
\ No newline at end of file
+  });
\ No newline at end of file
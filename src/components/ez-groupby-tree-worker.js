@@ -0,0 +1,38 @@
+/**
+@license
+Copyright (c) 2018 Martin Israelsen
+This program is available under MIT license, available at 
+  https://github.com/ez-webcomponents/ez-groupby-tree-mixin
+*/
+
+/**
+ * @file ez-groupby-tree-worker.js
+ * @description
+ * The Web Worker behind groupByAsync() in ez-groupby-tree-mixin.js.  It is handed the data, the groups object and
+ * the settings of the element, groups the data up with the same groupBy() and posts the tree back.
+ *    Messages posted back:
+ *      {type: "progress", done, total}   After each node of the first level of the tree
+ *      {type: "result", tree}            The finished tree
+ *      {type: "error", message}          groupBy() threw
+ */
+import { EzGroupbyTreeMixin } from './ez-groupby-tree-mixin.js';
+
+class GroupbyWorker extends EzGroupbyTreeMixin(Object) {
+}
+
+self.onmessage = function(event) {
+    let message = event.data;
+    let grouper = new GroupbyWorker();
+    grouper.groupByOptions = message.groupByOptions;
+    grouper.downloadFields = message.downloadFields;
+    grouper.groupByProgress = function(done, total) {
+        self.postMessage({type: "progress", done: done, total: total});
+    };
+
+    try {
+        let tree = grouper.groupBy(message.data, message.groups, message.groups);
+        self.postMessage({type: "result", tree: tree});
+    } catch (e) {
+        self.postMessage({type: "error", message: e.message});
+    }
+};